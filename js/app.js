@@ -5,6 +5,20 @@ const CONFIG = {
     maxPxPerYear: 20,       // Maximum scale
     centuryInterval: 100,   // Label every N years
     decadeInterval: 10,     // Tick every N years
+    deepTimeScale: 0.0005,  // Deep-time px/yr as a fraction of pxPerYear (before 0 HE)
+    compressedMarkerSpacing: 150, // Min pixels between markers where scale < minPxPerYear
+    scaleMode: 'linear',    // 'linear', 'log' (years before present) or 'piecewise'
+    logScaleFactor: 400,    // Log mode: pixels per 10x step back in time = pxPerYear x this
+    piecewiseRules: [],     // Piecewise mode: [{ start, end, pxPerYear }] overrides (HE years)
+    piecewiseText: '',      // Piecewise mode: rules as typed by the user
+    maxPiecewisePxPerYear: 100, // Cap for piecewise rule scales
+    renderOverscan: 1500,   // Pixels beyond the viewport to keep rendered
+    entryExtent: 250,       // Pixels around an entry's dot/bar its card can cover
+    searchMaxResults: 20,   // Maximum results shown in the search dropdown
+    urlUpdateDelay: 400,    // Debounce (ms) for mirroring the view into the URL hash
+    worldCalendar: 'ah',    // Calendar shown in the third year input (see WORLD_CALENDARS)
+    displayUnit: 'he',      // Dates on markers and geological cards: 'he', 'he+ago', 'he+bp', 'ago' or 'bp'
+    agoCategories: ['geological'], // Event categories whose cards follow displayUnit
 };
 
 // ============ STATE ============
@@ -15,12 +29,21 @@ const STATE = {
     rangeEvents: [],        // Events with endYear
     ageEvents: [],          // Events marked as ages (isAge: true)
     categories: {},         // Category definitions from datasets
+    regions: {},            // Region definitions from datasets (swimlanes)
     activeFilters: new Set(), // Currently active category filters (empty = show all)
     filterMode: 'all',      // 'all' = show all, 'filtered' = show only active
     lockedEvent: null,      // Currently locked/focused event element
     hoveredEvent: null,     // Currently hovered event element (smart hover)
     spreadRanges: true,     // Whether to spread ranges into channels
     showAges: true,         // Whether to show technological ages
+    layout: 'spine',        // 'spine' (alternating sides) or 'swimlanes' (a lane per region)
+    orientation: 'vertical', // 'vertical' (time runs down) or 'horizontal' (time runs right)
+    hiddenLanes: new Set(), // Swimlane ids unticked in the lane picker
+    deepTimeStart: 0,       // Earliest year on the track (negative = BHE deep-time section)
+    timeScale: null,        // Cached year <-> pixel mapping (see getTimeScale)
+    manifest: [],           // Datasets offered in the sidebar (events/manifest.json)
+    datasetCache: {},       // Loaded manifest datasets by id (kept while disabled)
+    diagnostics: [],        // Dataset validation issues (see validateDataset)
 };
 
 // ============ CHANNEL SYSTEM FOR RANGES ============
@@ -96,7 +119,8 @@ function resetChannels() {
 }
 
 function findAvailableChannel(side, startYear, endYear) {
-    const channels = channelOccupancy[side];
+    // side is 'left'/'right', or a swimlane key - lanes get their own channels
+    const channels = channelOccupancy[side] || (channelOccupancy[side] = []);
     const config = getMobileChannelConfig();
 
     // Start at channel 1 so ALL ranges are offset from center (channel 0 unused)
@@ -124,6 +148,7 @@ function findAvailableChannel(side, startYear, endYear) {
  * <div class="timeline-entry" data-year="11861" data-side="left" data-type="range">
  *   <div class="entry-dot"></div>
  *   <div class="entry-bar"></div>
+ *   <div class="entry-uncertainty"></div>  (uncertain point dates only)
  *   <div class="entry-connector"></div>
  *   <div class="entry-card">...</div>
  * </div>
@@ -133,15 +158,28 @@ class TimelineEntry {
         this.data = eventData;
         this.index = index;
         this.side = eventData.side || (index % 2 === 0 ? 'left' : 'right');
+        this.lane = eventData.lane;   // Swimlane id (swimlane layout only)
         this.isRange = this.data.endYear !== undefined && this.data.endYear !== null;
         this.isAge = this.data.isAge || false;
         this.showRangeBar = this._shouldShowRangeBar();
 
         // Calculate positions
-        this.startPx = yearToPixels(this.data.year);
-        this.endPx = this.isRange ? yearToPixels(this.data.endYear) : this.startPx;
+        this.startPx = yearToPixels(getEventPosition(this.data));
+        this.endPx = this.isRange ? yearToPixels(getEventEndPosition(this.data)) : this.startPx;
         this.barHeight = this.endPx - this.startPx;
 
+        // Uncertainty windows around the start and end (yearMin/yearMax, endYearMin/endYearMax)
+        const hasBounds = (min) => min !== undefined && min !== null;
+        this.startMinPx = hasBounds(this.data.yearMin) ? yearToPixels(this.data.yearMin) : this.startPx;
+        this.startMaxPx = hasBounds(this.data.yearMin) ? yearToPixels(this.data.yearMax) : this.startPx;
+        this.endMinPx = this.isRange && hasBounds(this.data.endYearMin) ? yearToPixels(this.data.endYearMin) : this.endPx;
+        this.endMaxPx = this.isRange && hasBounds(this.data.endYearMin) ? yearToPixels(this.data.endYearMax) : this.endPx;
+        this.isUncertain = this.startMaxPx > this.startMinPx || this.endMaxPx > this.endMinPx;
+
+        // Full vertical extent, including uncertainty (used by the virtualized track)
+        this.extentStartPx = Math.min(this.startPx, this.startMinPx);
+        this.extentEndPx = Math.max(this.endPx, this.endMaxPx);
+
         // Channel offset (for spread ranges)
         this.channel = 0;
         this.channelOffset = 0;
@@ -153,6 +191,7 @@ class TimelineEntry {
         this.container = null;
         this.dot = null;
         this.bar = null;
+        this.uncertainty = null;
         this.connector = null;
         this.card = null;
 
@@ -179,7 +218,8 @@ class TimelineEntry {
 
         if (STATE.spreadRanges) {
             const config = getMobileChannelConfig();
-            this.channel = findAvailableChannel(this.side, this.data.year, this.data.endYear);
+            const group = this.lane !== undefined ? `lane:${this.lane}` : this.side;
+            this.channel = findAvailableChannel(group, this.data.year, this.data.endYear);
             this.channelOffset = Math.min(
                 this.channel * config.channelWidth,
                 config.maxOffset
@@ -196,13 +236,18 @@ class TimelineEntry {
         this.container.className = `timeline-entry ${this.side}`;
         if (this.showRangeBar) this.container.classList.add('has-range');
         if (this.isAge) this.container.classList.add('is-age');
+        if (this.isUncertain) this.container.classList.add('is-uncertain');
 
         this.container.dataset.year = this.data.year;
         this.container.dataset.side = this.side;
         this.container.dataset.type = this.showRangeBar ? 'range' : 'point';
 
-        // Position at start year
-        this.container.style.top = `${this.startPx}px`;
+        // Position at start year (and in its lane, sideways from the year axis)
+        this.container.style[axisStyle('top')] = `${this.startPx}px`;
+        if (this.lane !== undefined) {
+            this.container.dataset.lane = this.lane;
+            this.container.style.left = `${this.data.laneOffset}px`;
+        }
 
         // Set CSS custom properties for colors
         this.container.style.setProperty('--entry-color', this.color.border);
@@ -219,6 +264,8 @@ class TimelineEntry {
         // Create bar (only for range events with visible bar)
         if (this.showRangeBar) {
             this._createBar();
+        } else if (this.startMaxPx > this.startMinPx) {
+            this._createUncertainty();
         }
 
         // Create connector
@@ -227,6 +274,9 @@ class TimelineEntry {
         // Create card
         this._createCard();
 
+        // Dot, bar and connector repeat what the card says
+        [this.dot, this.bar, this.uncertainty, this.connector].forEach(el => el?.setAttribute('aria-hidden', 'true'));
+
         // Set up event handlers
         this._setupEventHandlers();
 
@@ -250,13 +300,26 @@ class TimelineEntry {
 
         // Use cached CSS values (avoid getComputedStyle per-element)
         const css = getCachedCSS();
-        const adjustedBarHeight = this.barHeight + (css.dotOffset * 2);
+
+        // Uncertain ends extend the bar across their whole window
+        const fuzzBefore = this.startPx - this.startMinPx;
+        const fuzzAfter = this.endMaxPx - this.endPx;
+        const adjustedBarHeight = this.barHeight + (css.dotOffset * 2) + fuzzBefore + fuzzAfter;
 
         // Set bar height (with dot offset added)
         this.bar.style.setProperty('--bar-height', `${adjustedBarHeight}px`);
 
         // Position bar to start above the dot center
-        this.bar.style.top = `${-css.dotOffset}px`;
+        this.bar.style[axisStyle('top')] = `${-css.dotOffset - fuzzBefore}px`;
+
+        // Feather the uncertain ends: fully opaque only where the range is certain
+        if (this.isUncertain) {
+            const fuzzStart = this.startMaxPx - this.startMinPx;
+            const fuzzEnd = this.endMaxPx - this.endMinPx;
+            this.bar.classList.add('is-uncertain');
+            this.bar.style.setProperty('--fuzz-start', `${fuzzStart ? fuzzStart + css.dotOffset : 0}px`);
+            this.bar.style.setProperty('--fuzz-end', `${fuzzEnd ? fuzzEnd + css.dotOffset : 0}px`);
+        }
 
         // Bar colors
         const barBgColor = this.color.bg.replace('0.3', '0.6');
@@ -272,26 +335,35 @@ class TimelineEntry {
             this.bar.dataset.channelOffset = this.channelOffset;
             if (this.side === 'left') {
                 // Left side: bar moves left (negative X from center)
-                this.bar.style.left = `calc(50% - ${this.channelOffset}px)`;
+                this.bar.style[axisStyle('left')] = `calc(50% - ${this.channelOffset}px)`;
             } else {
                 // Right side: bar moves right (positive X from center)
-                this.bar.style.left = `calc(50% + ${this.channelOffset}px)`;
+                this.bar.style[axisStyle('left')] = `calc(50% + ${this.channelOffset}px)`;
             }
         }
 
         this.container.appendChild(this.bar);
     }
 
+    _createUncertainty() {
+        // Feathered band at timeline center spanning an uncertain point date
+        this.uncertainty = document.createElement('div');
+        this.uncertainty.className = 'entry-uncertainty';
+        this.uncertainty.style[axisStyle('top')] = `${this.startMinPx - this.startPx}px`;
+        this.uncertainty.style[axisStyle('height')] = `${this.startMaxPx - this.startMinPx}px`;
+        this.container.appendChild(this.uncertainty);
+    }
+
     _createConnector() {
         this.connector = document.createElement('div');
         this.connector.className = 'entry-connector';
 
         // Base connector width (extends based on channel offset)
-        const baseWidth = window.innerWidth < 600 ? 35 : 60;
+        const baseWidth = this._getBaseConnectorWidth();
         const connectorWidth = baseWidth + this.channelOffset;
 
         // Set width directly on connector
-        this.connector.style.width = `${connectorWidth}px`;
+        this.connector.style[axisStyle('width')] = `${connectorWidth}px`;
 
         // Also set CSS variable on container for card positioning
         this.container.style.setProperty('--connector-width', `${connectorWidth}px`);
@@ -305,39 +377,55 @@ class TimelineEntry {
                 // Connector right edge should be where bar is
                 // In CSS 'right' property: right: X means right edge is X from right side
                 // So right: calc(50% + offset) places right edge at 50% - offset from left
-                this.connector.style.right = `calc(50% + ${this.channelOffset}px)`;
+                this.connector.style[axisStyle('right')] = `calc(50% + ${this.channelOffset}px)`;
             } else {
                 // Right card: bar is at 50% + offset (to the right of center)
                 // Connector left edge should be where bar is
                 // left: calc(50% + offset) places left edge at 50% + offset from left
-                this.connector.style.left = `calc(50% + ${this.channelOffset}px)`;
+                this.connector.style[axisStyle('left')] = `calc(50% + ${this.channelOffset}px)`;
             }
         }
 
         this.container.appendChild(this.connector);
     }
 
+    _getBaseConnectorWidth() {
+        // Lanes are narrow - cards sit close to their lane's line
+        if (this.lane !== undefined) return SWIMLANE_CONFIG.connectorWidth;
+        return window.innerWidth < 600 ? 35 : 60;
+    }
+
     _createCard() {
         this.card = document.createElement('div');
         this.card.className = 'entry-card';
         this.card.style.borderTop = `5px solid ${this.color.border}`;
 
+        // Focusable, and named by its title and date for screen readers
+        const titleId = `entry-title-${this.index}`;
+        const dateId = `entry-date-${this.index}`;
+        this.card.tabIndex = 0;
+        this.card.setAttribute('role', 'article');
+        this.card.setAttribute('aria-labelledby', `${titleId} ${dateId}`);
+
         const yearLabel = formatYearDisplay(this.data);
-        const sourceLink = this.data.source
-            ? `<a href="${this.data.source}" target="_blank" rel="noopener noreferrer" class="event-source" style="color: ${this.color.text}">Learn more →</a>`
+        const sourceLink = isWebURL(this.data.source)
+            ? `<a href="${escapeHTML(this.data.source)}" target="_blank" rel="noopener noreferrer" class="event-source" style="color: ${this.color.text}">Learn more →</a>`
             : '';
         const categoryIcons = getCategoryIcons(this.data);
+        const datasetBadge = getDatasetBadge(this.data);
 
         // Use range-dates for ranges, event-year-text for points
         const dateClass = this.showRangeBar ? 'range-dates' : 'event-year-text';
 
         this.card.innerHTML = `
             <div class="event-header">
-                <span class="event-title">${this.data.title}</span>
+                <span class="event-title" id="${titleId}">${escapeHTML(this.data.title)}</span>
             </div>
-            <span class="${dateClass}" style="color: ${this.color.text}">${yearLabel}</span>
-            <p class="event-desc">${this.data.desc || ''}</p>
+            <span class="${dateClass}" id="${dateId}" style="color: ${this.color.text}">${yearLabel}</span>
+            <p class="event-desc">${escapeHTML(this.data.desc)}</p>
+            ${getRelatedLinksHTML(this.data.original || this.data)}
             <div class="event-footer">
+                ${datasetBadge}
                 ${categoryIcons}
                 ${sourceLink}
             </div>
@@ -362,6 +450,13 @@ class TimelineEntry {
                 return;
             }
 
+            // Related links go to their event instead of toggling this card
+            const relatedLink = e.target.closest('.event-related-link');
+            if (relatedLink) {
+                goToRelatedEvent(relatedLink.dataset.eventKey);
+                return;
+            }
+
             this._handleClick(e);
         }, true); // Capturing phase
 
@@ -388,6 +483,13 @@ class TimelineEntry {
             this._handleClick(e);
         });
 
+        // Enter/Space on the focused card locks (or unlocks) it like a click
+        this.card.addEventListener('keydown', (e) => {
+            if (e.target !== this.card || (e.key !== 'Enter' && e.key !== ' ')) return;
+            e.preventDefault();
+            this._handleClick(e);
+        });
+
     }
 
     _handleClick(e) {
@@ -399,9 +501,10 @@ class TimelineEntry {
     /**
      * Nudge the card into viewport on mobile
      * With new architecture, elements are independent - no counter-nudging needed
+     * (horizontal cards sit above/below the track and scroll into view with it)
      */
     nudgeIntoViewport() {
-        if (!this.card) return 0;
+        if (!this.card || isHorizontal()) return 0;
 
         const rect = this.card.getBoundingClientRect();
         const viewportWidth = window.innerWidth;
@@ -434,7 +537,7 @@ class TimelineEntry {
                     this.connector.style.left = '50%';
                 }
                 // Reset connector width to base width (without channel offset)
-                const baseWidth = window.innerWidth < 600 ? 35 : 60;
+                const baseWidth = this._getBaseConnectorWidth();
                 this.connector.dataset.originalWidth = this.connector.style.width;
                 this.connector.style.width = `${baseWidth}px`;
                 this.connector.dataset.wasCentered = 'true';
@@ -574,16 +677,208 @@ function fromHoloceneYear(heYear) {
     }
 }
 
+/*
+ * Dates can carry month/day precision: "15 Oct 1582 CE", "Oct 15, 1582 CE",
+ * "Oct 1582 CE", "1582-10-15" (ISO, CE). Events keep whole HE years in
+ * year/endYear, plus month/day (1-based) and a fractional position
+ * (year + elapsed fraction of the year) used for placement on the track.
+ * Leap years follow the proleptic Gregorian calendar (astronomical year = HE - 10000).
+ */
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Match a month name or abbreviation ("Oct", "Sept.", "October")
+ * @param {string} word
+ * @returns {number} Month 1-12, or 0 if not a month
+ */
+function parseMonthName(word) {
+    const lower = word.toLowerCase().replace(/\.$/, '');
+    if (lower.length < 3) return 0;
+    const index = MONTH_NAMES.findIndex(name => name.toLowerCase().startsWith(lower));
+    return index + 1;
+}
+
+/**
+ * Whether an HE year is a leap year (proleptic Gregorian)
+ * @param {number} heYear
+ * @returns {boolean}
+ */
+function isLeapYearHE(heYear) {
+    const year = heYear - 10000; // Astronomical year (1 BCE = 0)
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Number of days in a month of an HE year
+ * @param {number} heYear
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+function getDaysInMonth(heYear, month) {
+    if (month === 2) return isLeapYearHE(heYear) ? 29 : 28;
+    return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/**
+ * Fraction of an HE year elapsed at the start of a month/day
+ * @param {number} heYear
+ * @param {number} [month] - 1-12 (none = start of year)
+ * @param {number} [day] - 1-31 (none = start of month)
+ * @returns {number} 0 to <1
+ */
+function getYearFraction(heYear, month, day) {
+    if (!month) return 0;
+    let dayOfYear = (day || 1) - 1;
+    for (let m = 1; m < month; m++) {
+        dayOfYear += getDaysInMonth(heYear, m);
+    }
+    return dayOfYear / (isLeapYearHE(heYear) ? 366 : 365);
+}
+
+/**
+ * Track position of a parsed date (fractional HE year)
+ * @param {object} parsed - From parseDateToHEWithCirca()
+ * @returns {number}
+ */
+function getDatePosition(parsed) {
+    return parsed.year + getYearFraction(parsed.year, parsed.month, parsed.day);
+}
+
+/**
+ * Split a month/day prefix or ISO date from a date string
+ * @param {string} str - Date string without circa prefix
+ * @returns {object|null} { rest, month, day } - rest is the year part; null when there is no month
+ */
+function extractMonthDay(str) {
+    // ISO "1582-10-15" or "1582-10" (CE)
+    const isoMatch = str.match(/^(\d{1,4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+    if (isoMatch) {
+        return {
+            rest: `${isoMatch[1]} CE`,
+            month: parseInt(isoMatch[2], 10),
+            day: isoMatch[3] ? parseInt(isoMatch[3], 10) : null
+        };
+    }
+    
+    // "15 Oct 1582 CE"
+    const dayFirst = str.match(/^(\d{1,2})\s+([A-Za-z]+\.?)\s+(.+)$/);
+    if (dayFirst && parseMonthName(dayFirst[2])) {
+        return { rest: dayFirst[3], month: parseMonthName(dayFirst[2]), day: parseInt(dayFirst[1], 10) };
+    }
+    
+    // "Oct 15, 1582 CE"
+    const monthFirst = str.match(/^([A-Za-z]+\.?)\s+(\d{1,2}),?\s+(.+)$/);
+    if (monthFirst && parseMonthName(monthFirst[1])) {
+        return { rest: monthFirst[3], month: parseMonthName(monthFirst[1]), day: parseInt(monthFirst[2], 10) };
+    }
+    
+    // "Oct 1582 CE"
+    const monthOnly = str.match(/^([A-Za-z]+\.?)\s+(.+)$/);
+    if (monthOnly && parseMonthName(monthOnly[1])) {
+        return { rest: monthOnly[2], month: parseMonthName(monthOnly[1]), day: null };
+    }
+    
+    return null;
+}
+
+/**
+ * Track position of an event's start (fractional HE year)
+ * @param {object} event
+ * @returns {number}
+ */
+function getEventPosition(event) {
+    return event.position ?? event.year;
+}
+
+/**
+ * Track position of an event's end (fractional HE year)
+ * @param {object} event
+ * @returns {number}
+ */
+function getEventEndPosition(event) {
+    return event.endPosition ?? event.endYear;
+}
+
+/*
+ * Relative dates count back from "present", which by the radiocarbon convention
+ * is 1950 CE: "12,900 BP", "70 ka" (thousand years), "3.3 Ma" (million years).
+ * Decimals and thousands separators are allowed; results are rounded to whole years.
+ */
+const BP_PRESENT_HE = 11950; // 1950 CE
+
+const BP_UNIT_FACTORS = { BP: 1, YBP: 1, KA: 1e3, KYA: 1e3, MA: 1e6, MYA: 1e6 };
+
+/**
+ * Parse a Before Present date ("12,900 BP", "70 ka", "3.3 Ma", "70 ka BP", "11,700 cal BP")
+ * @param {string} str - Date string without circa prefix
+ * @returns {number|null} Year in HE, or null if not a BP/ka/Ma date
+ */
+function parseBeforePresent(str) {
+    const match = String(str).trim().toUpperCase()
+        .match(/^(\d[\d,]*(?:\.\d+)?|\.\d+)\s*(?:CAL\s*)?(BP|YBP|KA|KYA|MA|MYA)(?:\s*BP)?$/);
+    if (!match) return null;
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    return Math.round(BP_PRESENT_HE - value * BP_UNIT_FACTORS[match[2]]);
+}
+
+/**
+ * Parse an uncertain date: "3300 ± 50 BCE", "4500 +/- 30 BP", "70 ± 5 ka" or
+ * "between 3200 and 3100 BCE". The era may be given once, after the second year,
+ * and then also applies to a first year without one of its own:
+ * "between 12,900 and 12,000 BP", "between 3.3 and 3.2 Ma",
+ * "between 1 Jan 1500 and 1600 CE"
+ * @param {string} str - Date string without circa prefix
+ * @param {string} [calendar] - Passed through to parseDateToHEWithCirca
+ * @returns {object|null} { year, min, max } in HE (year is the central estimate),
+ *   or null if not an uncertain date
+ */
+function parseUncertainDate(str, calendar) {
+    const between = str.match(/^between\s+(.+?)\s+and\s+(.+)$/i);
+    if (between) {
+        // Era written after a year's last number ("BCE", "cal BP", "ka"); "HE 12025" has its own
+        const eraOf = text => text.match(/\d[\d,]*(?:\.\d+)?\s*(\D*)$/)?.[1].trim() || '';
+        const hasEra = eraOf(between[1]) || /^B?HE\s/i.test(between[1]);
+        const first = hasEra ? between[1] : `${between[1]} ${eraOf(between[2])}`;
+        const a = parseDateToHEWithCirca(first.trim(), calendar).year;
+        const b = parseDateToHEWithCirca(between[2], calendar).year;
+        if (isNaN(a) || isNaN(b)) return null;
+        const min = Math.min(a, b);
+        const max = Math.max(a, b);
+        return { year: Math.round((min + max) / 2), min, max };
+    }
+    
+    const plusMinus = str.match(/^(\d[\d,]*(?:\.\d+)?)\s*(?:±|\+\/-|\+-)\s*(\d[\d,]*(?:\.\d+)?)\s*(.*)$/);
+    if (plusMinus) {
+        const [, value, error, era] = plusMinus;
+        const { year } = parseDateToHEWithCirca(`${value.replace(/,/g, '')} ${era}`.trim(), calendar);
+        if (isNaN(year)) return null;
+        // The error is in the same unit as the value (years, or ka/Ma)
+        const unit = era.toUpperCase().replace(/^CAL\s*/, '').split(/\s+/)[0];
+        const spread = parseFloat(error.replace(/,/g, '')) * (BP_UNIT_FACTORS[unit] || 1);
+        return { year, min: Math.round(year - spread), max: Math.round(year + spread) };
+    }
+    return null;
+}
+
 /**
  * Parse a date string - treats plain numbers as HE years
  * Only converts if explicitly marked as CE/AD/BCE/BC
- * Supports: "12025", "2025 CE", "500 BCE", "44 BC", "HE 12025", "-2025" (as BCE)
+ * Supports: "12025", "2025 CE", "500 BCE", "44 BC", "HE 12025", "54999 BHE", "-2025" (as BCE)
  * Also supports "c. " prefix for circa/approximate dates (e.g., "c. 3150 BCE")
  * When circa prefix is used on round BCE numbers, adds 1 for clean HE conversion
+ * Month/day precision: "15 Oct 1582 CE", "Oct 15, 1582 CE", "Oct 1582 CE", "1582-10-15"
+ * Before Present: "12,900 BP", "70 ka", "3.3 Ma" (see parseBeforePresent)
+ * Uncertainty: "3300 ± 50 BCE", "between 3200 and 3100 BCE" (see parseUncertainDate)
  * @param {string|number} dateInput 
- * @returns {object} { year: number, circa: boolean } - year in HE, circa flag
+ * @param {string} [calendar] - Calendar for checking day ranges ('gregorian' or 'julian');
+ *   the date is not converted (see parseEventDate)
+ * @returns {object} { year: number, circa: boolean, month?: number, day?: number, min?: number, max?: number }
+ *   - year in HE, circa flag; min/max bound an uncertain date (which is always circa)
  */
-function parseDateToHEWithCirca(dateInput) {
+function parseDateToHEWithCirca(dateInput, calendar = 'gregorian') {
     if (typeof dateInput === 'number') {
         return { year: dateInput, circa: false }; // Assume already in HE
     }
@@ -603,8 +898,41 @@ function parseDateToHEWithCirca(dateInput) {
         str = str.slice(circaMatch[0].length).trim();
     }
     
+    // Uncertainty ranges
+    const uncertain = parseUncertainDate(str, calendar);
+    if (uncertain) {
+        return { ...uncertain, circa: true };
+    }
+    
+    // Before Present (BP/ka/Ma)
+    const beforePresent = parseBeforePresent(str);
+    if (beforePresent !== null) {
+        return { year: beforePresent, circa: isCirca };
+    }
+    
+    // Month/day precision - parse the year part on its own (no circa rounding)
+    const monthDay = extractMonthDay(str);
+    if (monthDay) {
+        const { year } = parseDateToHEWithCirca(monthDay.rest);
+        const { month, day } = monthDay;
+        if (isNaN(year) || month < 1 || month > 12 ||
+            (day !== null && (day < 1 || day > getCalendarDaysInMonth(year - 10000, month, calendar)))) {
+            console.warn(`Could not parse date: "${dateInput}"`);
+            return { year: NaN, circa: false };
+        }
+        return day !== null
+            ? { year, circa: isCirca, month, day }
+            : { year, circa: isCirca, month };
+    }
+    
     const strUpper = str.toUpperCase();
     
+    // Check for "BHE" suffix - Before Holocene Era (negative HE)
+    const bheMatch = strUpper.match(/^(\d+)\s*BHE$/);
+    if (bheMatch) {
+        return { year: -parseInt(bheMatch[1], 10), circa: isCirca };
+    }
+    
     // Check for "HE" prefix/suffix - already in HE
     const heMatch = strUpper.match(/^(?:HE\s*)?(\d+)(?:\s*HE)?$/);
     if (heMatch && strUpper.includes('HE')) {
@@ -695,6 +1023,12 @@ function parseCEDateToHE(dateInput) {
     
     const str = String(dateInput).trim().toUpperCase();
     
+    // Before Present (BP/ka/Ma) dates are absolute whatever the input's era
+    const beforePresent = parseBeforePresent(str);
+    if (beforePresent !== null) {
+        return beforePresent;
+    }
+    
     // Check for BCE/BC/B.C.E./B.C. - needs conversion (handles dots)
     // Match: BCE, BC, B.C.E., B.C.E, B.C., B.C (any combo of dots)
     const bceMatch = str.match(/^(\d+)\s*B\.?\s*C\.?\s*(?:E\.?)?$/);
@@ -741,550 +1075,4075 @@ function parseCEDateToHE(dateInput) {
     return NaN;
 }
 
-// ============ PIXEL/YEAR CONVERSION ============
+// ============ CALENDAR CONVERSION ============
 
-function yearToPixels(year) {
-    // Clamp negative years to position 0 (they still display but at the top)
-    return Math.max(0, year) * CONFIG.pxPerYear;
+/*
+ * Day-level conversion between the proleptic Gregorian calendar, the Julian
+ * calendar and the Holocene calendar (Gregorian months/days, year + 10000),
+ * through the Julian Day Number (JDN, whole days since 1 Jan 4713 BC Julian).
+ * Internally years are astronomical (1 BCE = 0, 2 BCE = -1) so there is no
+ * gap at year 0; CE/BCE is only used for input and display.
+ * The Gregorian reform skipped Oct 5-14, 1582: Julian Oct 4, 1582 (JDN 2299160)
+ * was followed by Gregorian Oct 15, 1582 (JDN 2299161).
+ */
+const CALENDARS = {
+    gregorian: 'Gregorian',
+    julian: 'Julian',
+    he: 'Holocene',
+};
+
+const GREGORIAN_REFORM_JDN = 2299161; // Oct 15, 1582 (Gregorian)
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Convert a CE/BCE year to an astronomical year
+ * @param {number} year - Year number (1 or more)
+ * @param {string} era - 'CE' or 'BCE'
+ * @returns {number} Astronomical year (1 BCE = 0)
+ */
+function toAstronomicalYear(year, era = 'CE') {
+    return era.toUpperCase() === 'BCE' ? 1 - year : year;
 }
 
-function pixelsToYear(px) {
-    return Math.round(px / CONFIG.pxPerYear);
+/**
+ * Number of days in a month of a given calendar
+ * @param {number} year - Astronomical year (HE year for 'he')
+ * @param {number} month - 1-12
+ * @param {string} calendar - 'gregorian', 'julian' or 'he'
+ * @returns {number}
+ */
+function getCalendarDaysInMonth(year, month, calendar) {
+    if (calendar === 'julian' && month === 2) {
+        return ((year % 4) + 4) % 4 === 0 ? 29 : 28; // Every 4th year, no exceptions
+    }
+    return getDaysInMonth(calendar === 'he' ? year : year + 10000, month);
 }
 
-function yearToCE(year) {
-    return Math.floor(year - 10000);
+/**
+ * Convert a calendar date to a Julian Day Number
+ * @param {object} date - { year, month, day }; year is astronomical, or HE for 'he'
+ *   (an era of 'CE'/'BCE' may be given instead for 'gregorian'/'julian')
+ * @param {string} calendar - 'gregorian' (proleptic), 'julian' or 'he'
+ * @returns {number|null} JDN, or null if the date does not exist
+ */
+function dateToJDN(date, calendar = 'gregorian') {
+    const { month, day } = date;
+    let year = date.era ? toAstronomicalYear(date.year, date.era) : date.year;
+    if (date.era && date.year < 1) return null; // There is no year 0 CE/BCE
+    if (![year, month, day].every(Number.isInteger)) return null;
+    if (month < 1 || month > 12 || day < 1 || day > getCalendarDaysInMonth(year, month, calendar)) return null;
+    
+    if (calendar === 'he') year -= 10000;
+    
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    const base = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4);
+    
+    if (calendar === 'julian') {
+        return base - 32083;
+    }
+    return base - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
 }
 
-// ============ FORMATTING ============
+/**
+ * Convert a Julian Day Number to a calendar date
+ * @param {number} jdn
+ * @param {string} calendar - 'gregorian' (proleptic), 'julian' or 'he'
+ * @returns {object} { year, month, day, weekday } - year is astronomical (HE for 'he'),
+ *   weekday 0 = Sunday
+ */
+function jdnToDate(jdn, calendar = 'gregorian') {
+    let b = 0;
+    let c;
+    if (calendar === 'julian') {
+        c = jdn + 32082;
+    } else {
+        const a = jdn + 32044;
+        b = Math.floor((4 * a + 3) / 146097);
+        c = a - Math.floor(146097 * b / 4);
+    }
+    const d = Math.floor((4 * c + 3) / 1461);
+    const e = c - Math.floor(1461 * d / 4);
+    const m = Math.floor((5 * e + 2) / 153);
+    
+    const day = e - Math.floor((153 * m + 2) / 5) + 1;
+    const month = m + 3 - 12 * Math.floor(m / 10);
+    let year = 100 * b + d - 4800 + Math.floor(m / 10);
+    if (calendar === 'he') year += 10000;
+    
+    return { year, month, day, weekday: getWeekday(jdn) };
+}
 
 /**
- * Format a single year for display, handling negative years (BHE)
- * @param {number} year - Year in HE (can be negative)
- * @returns {string} Formatted year string
+ * Day of the week for a Julian Day Number
+ * @param {number} jdn
+ * @returns {number} 0 = Sunday ... 6 = Saturday
  */
-function formatSingleYear(year) {
-    if (year < 0) {
-        // Negative HE = Before Holocene Era
-        return `${Math.abs(year).toLocaleString()} BHE`;
+function getWeekday(jdn) {
+    return ((jdn + 1) % 7 + 7) % 7;
+}
+
+/**
+ * Convert a date to every supported calendar
+ * @param {object} date - { year, month, day, era? } (see dateToJDN)
+ * @param {string} calendar - Calendar the date is given in
+ * @returns {object|null} { jdn, weekday, gregorian, julian, he } or null if the date does not exist
+ */
+function convertDate(date, calendar = 'gregorian') {
+    const jdn = dateToJDN(date, calendar);
+    if (jdn === null) return null;
+    
+    const result = { jdn, weekday: WEEKDAY_NAMES[getWeekday(jdn)] };
+    Object.keys(CALENDARS).forEach(key => {
+        const { year, month, day } = jdnToDate(jdn, key);
+        result[key] = { year, month, day };
+    });
+    return result;
+}
+
+/**
+ * Format a calendar date for display
+ * @param {object} date - { year, month, day } from jdnToDate/convertDate
+ * @param {string} calendar - 'gregorian', 'julian' or 'he'
+ * @returns {string} e.g. "Oct 15, 1582 CE", "Oct 15, 11,582 HE"
+ */
+function formatCalendarDate(date, calendar) {
+    const monthDay = formatMonthDay(date.month, date.day);
+    if (calendar === 'he') {
+        return `${monthDay}${formatSingleYear(date.year)}`;
     }
-    return `${year.toLocaleString()} HE`;
+    return date.year >= 1
+        ? `${monthDay}${date.year} CE`
+        : `${monthDay}${1 - date.year} BCE`;
 }
 
-function formatYear(year) {
-    return formatSingleYear(year);
+/**
+ * Convert a parsed dataset date recorded in another calendar to the HE
+ * (Gregorian-based) calendar. Only full dates (with a day) are converted.
+ * @param {object} parsed - From parseDateToHEWithCirca()
+ * @param {string} calendar - Calendar the date was recorded in
+ * @returns {object} Parsed date in HE
+ */
+function convertParsedDate(parsed, calendar) {
+    if (!calendar || calendar === 'gregorian' || calendar === 'he' || !parsed.day || isNaN(parsed.year)) {
+        return parsed;
+    }
+    const jdn = dateToJDN({ year: parsed.year - 10000, month: parsed.month, day: parsed.day }, calendar);
+    if (jdn === null) return { year: NaN, circa: false };
+    const { year, month, day } = jdnToDate(jdn, 'he');
+    return { ...parsed, year, month, day };
 }
 
 /**
- * Format the year display based on event type
- * @param {object} eventData - The event object with year, endYear, and optional type
- * @returns {string} Formatted year string
- * 
- * Type logic:
- * - "person": "b. X - d. Y HE" (birth to death)
- * - "approximate": "Between X - Y HE" (uncertain range) or "c. X HE" (single approximate)
- * - "range": "X - Y HE" (definite range like empires, wars)
- * - "event" or default: "X HE" (single date)
- * 
- * Circa flags:
- * - eventData.circa: if true, shows "c." prefix on start year
- * - eventData.endCirca: if true, shows "c." prefix on end year
- * 
- * Range formatting:
- * - For ranges, only show era (HE/BHE) on the end year to reduce redundancy
- * - Exception: if start is BHE and end is HE, show both eras
- * 
- * If type is not specified:
- * - Has endYear -> defaults to "range"
- * - No endYear -> defaults to "event"
+ * Parse a dataset date recorded in the given calendar into HE
+ * @param {string|number} dateInput - Dataset year/endYear value
+ * @param {string} [calendar] - 'gregorian' (default) or 'julian'
+ * @returns {object} As parseDateToHEWithCirca(), converted to the HE calendar
  */
-function formatYearDisplay(eventData) {
-    const year = eventData.year;
-    const endYear = eventData.endYear;
-    const circa = eventData.circa || false;
-    const endCirca = eventData.endCirca || false;
-    const type = eventData.type || (endYear ? 'range' : 'event');
+function parseEventDate(dateInput, calendar = 'gregorian') {
+    return convertParsedDate(parseDateToHEWithCirca(dateInput, calendar), calendar);
+}
+
+// ============ DATE CONVERTER PANEL ============
+
+/**
+ * Read the converter inputs
+ * @param {string} [calendar] - Calendar to read them in (default: the selected one)
+ * @returns {object} { date, calendar }
+ */
+function getConverterInput(calendar = document.getElementById('converterCalendar')?.value || 'gregorian') {
+    const era = document.getElementById('converterEra')?.value || 'CE';
+    const day = parseInt(document.getElementById('converterDay')?.value, 10);
+    const month = parseInt(document.getElementById('converterMonth')?.value, 10);
+    const yearValue = parseInt(document.getElementById('converterYear')?.value, 10);
+    
+    let date;
+    if (calendar === 'he') {
+        date = { year: era === 'BHE' ? -yearValue : yearValue, month, day };
+    } else {
+        date = { year: yearValue, month, day, era };
+    }
+    return { date, calendar };
+}
+
+/**
+ * Show the converted date in every calendar
+ */
+function updateDateConverter() {
+    const results = document.getElementById('converterResults');
+    const note = document.getElementById('converterNote');
+    const jumpBtn = document.getElementById('converterJump');
+    if (!results) return;
+    
+    const { date, calendar } = getConverterInput();
+    const converted = convertDate(date, calendar);
+    
+    if (!converted) {
+        results.innerHTML = '<div class="converter-invalid">This date does not exist in the selected calendar</div>';
+        if (note) note.textContent = '';
+        if (jumpBtn) jumpBtn.disabled = true;
+        return;
+    }
     
-    // Check if start and end have different eras (one BHE, one HE)
-    const startIsBHE = year < 0;
-    const endIsBHE = endYear < 0;
-    const sameEra = startIsBHE === endIsBHE;
+    results.innerHTML = `
+        <dt>Weekday</dt><dd>${converted.weekday}</dd>
+        ${Object.entries(CALENDARS).map(([key, name]) => `
+            <dt>${name}</dt><dd>${formatCalendarDate(converted[key], key)}</dd>
+        `).join('')}
+        <dt>Julian Day</dt><dd>${converted.jdn.toLocaleString()}</dd>
+    `;
     
-    // Format number with commas but no era suffix
-    const formatNumberOnly = (y) => {
-        if (y < 0) return Math.abs(y).toLocaleString();
-        return y.toLocaleString();
+    if (note) {
+        note.textContent = converted.jdn < GREGORIAN_REFORM_JDN
+            ? 'Before Oct 15, 1582 the Julian calendar was in civil use; Gregorian and HE dates are proleptic.'
+            : 'Julian Oct 4, 1582 was followed by Gregorian Oct 15, 1582 (10 days skipped).';
+    }
+    if (jumpBtn) jumpBtn.disabled = false;
+}
+
+/**
+ * Setup the date converter in the sidebar
+ */
+function setupDateConverter() {
+    const calendarSelect = document.getElementById('converterCalendar');
+    const eraSelect = document.getElementById('converterEra');
+    const monthSelect = document.getElementById('converterMonth');
+    const jumpBtn = document.getElementById('converterJump');
+    if (!calendarSelect || !monthSelect) return;
+    
+    monthSelect.innerHTML = MONTH_NAMES
+        .map((name, index) => `<option value="${index + 1}">${name}</option>`)
+        .join('');
+    monthSelect.value = '10';
+    
+    // Era choices follow the calendar (CE/BCE, or HE/BHE)
+    const updateEras = () => {
+        if (!eraSelect) return;
+        const eras = calendarSelect.value === 'he' ? ['HE', 'BHE'] : ['CE', 'BCE'];
+        if (!eras.includes(eraSelect.value)) {
+            eraSelect.innerHTML = eras.map(era => `<option value="${era}">${era}</option>`).join('');
+        }
     };
     
-    // Helpers to format with optional circa prefix
-    // For ranges: start year gets no era suffix (unless eras differ), end year always gets suffix
-    const formatStartInRange = () => {
-        const num = formatNumberOnly(year);
-        const c = circa ? 'c. ' : '';
-        // Only add era if it differs from end year's era
-        if (!sameEra) {
-            return `${c}${num} ${startIsBHE ? 'BHE' : 'HE'}`;
+    calendarSelect.addEventListener('change', () => {
+        // Keep showing the same day when switching calendars
+        const previous = getConverterInput(calendarSelect.dataset.previous || 'gregorian');
+        const before = convertDate(previous.date, previous.calendar);
+        updateEras();
+        if (before) {
+            const target = before[calendarSelect.value];
+            const year = document.getElementById('converterYear');
+            const day = document.getElementById('converterDay');
+            if (calendarSelect.value === 'he') {
+                eraSelect.value = target.year < 0 ? 'BHE' : 'HE';
+                year.value = Math.abs(target.year);
+            } else {
+                eraSelect.value = target.year >= 1 ? 'CE' : 'BCE';
+                year.value = target.year >= 1 ? target.year : 1 - target.year;
+            }
+            monthSelect.value = String(target.month);
+            day.value = target.day;
         }
-        return `${c}${num}`;
-    };
+        calendarSelect.dataset.previous = calendarSelect.value;
+        updateDateConverter();
+    });
     
-    const formatStart = () => circa ? `c. ${formatSingleYear(year)}` : formatSingleYear(year);
-    const formatEnd = () => endCirca ? `c. ${formatSingleYear(endYear)}` : formatSingleYear(endYear);
+    ['converterDay', 'converterMonth', 'converterYear', 'converterEra'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', updateDateConverter);
+    });
     
-    switch (type) {
-        case 'person':
-            if (endYear) {
-                return `b. ${formatStartInRange()} – d. ${formatEnd()}`;
-            }
-            return `b. ${formatStart()}`;
-        
-        case 'approximate':
-            if (endYear) {
-                return `Between ${formatStartInRange()} – ${formatEnd()}`;
-            }
-            return `c. ${formatSingleYear(year)}`; // Always show c. for single approximate
-        
-        case 'range':
-            if (endYear) {
-                return `${formatStartInRange()} – ${formatEnd()}`;
-            }
-            return formatStart();
-        
-        case 'event':
-        default:
-            return formatStart();
-    }
+    jumpBtn?.addEventListener('click', () => {
+        const { date, calendar } = getConverterInput();
+        const converted = convertDate(date, calendar);
+        if (converted) {
+            jumpToYear(converted.he.year);
+        }
+    });
+    
+    calendarSelect.dataset.previous = calendarSelect.value;
+    updateEras();
+    updateDateConverter();
 }
 
-// ============ DATA LOADING ============
+// ============ WORLD CALENDARS ============
+
+/*
+ * Year-level conversion between HE and other calendar systems, for the third
+ * year input in the top bar. A calendar whose years don't line up with
+ * Gregorian years (lunar/lunisolar new year, regnal era change) shows every
+ * year that overlaps the HE year as a range, e.g. "1446–1447" AH.
+ * Each calendar has:
+ * - fromHE(heYear)               -> { text, title } for the input and its tooltip
+ * - toHE(text, nearYear, strict) -> HE year the typed year begins in (NaN if not
+ *   understood); strict requires the calendar's own label (e.g. "AH 1") so any
+ *   calendar can be typed into the HE input
+ */
+const HIJRI_EPOCH_JDN = 1948440;      // 1 Muharram AH 1 = Jul 16, 622 (Julian)
+const MAYA_CORRELATION_JDN = 584283;  // GMT correlation: 0.0.0.0.0 = Aug 11, 3114 BCE (Gregorian)
+
+const JAPANESE_ERAS = [
+    { name: 'Meiji', romaji: 'Meiji', short: 'M', start: 1868 },
+    { name: 'Taishō', romaji: 'Taisho', short: 'T', start: 1912 },
+    { name: 'Shōwa', romaji: 'Showa', short: 'S', start: 1926 },
+    { name: 'Heisei', romaji: 'Heisei', short: 'H', start: 1989 },
+    { name: 'Reiwa', romaji: 'Reiwa', short: 'R', start: 2019 },
+];
+
+const SEXAGENARY_STEMS = [
+    { char: '甲', pinyin: 'Jiǎ', element: 'Wood' }, { char: '乙', pinyin: 'Yǐ', element: 'Wood' },
+    { char: '丙', pinyin: 'Bǐng', element: 'Fire' }, { char: '丁', pinyin: 'Dīng', element: 'Fire' },
+    { char: '戊', pinyin: 'Wù', element: 'Earth' }, { char: '己', pinyin: 'Jǐ', element: 'Earth' },
+    { char: '庚', pinyin: 'Gēng', element: 'Metal' }, { char: '辛', pinyin: 'Xīn', element: 'Metal' },
+    { char: '壬', pinyin: 'Rén', element: 'Water' }, { char: '癸', pinyin: 'Guǐ', element: 'Water' },
+];
+
+const SEXAGENARY_BRANCHES = [
+    { char: '子', pinyin: 'zǐ', animal: 'Rat' }, { char: '丑', pinyin: 'chǒu', animal: 'Ox' },
+    { char: '寅', pinyin: 'yín', animal: 'Tiger' }, { char: '卯', pinyin: 'mǎo', animal: 'Rabbit' },
+    { char: '辰', pinyin: 'chén', animal: 'Dragon' }, { char: '巳', pinyin: 'sì', animal: 'Snake' },
+    { char: '午', pinyin: 'wǔ', animal: 'Horse' }, { char: '未', pinyin: 'wèi', animal: 'Goat' },
+    { char: '申', pinyin: 'shēn', animal: 'Monkey' }, { char: '酉', pinyin: 'yǒu', animal: 'Rooster' },
+    { char: '戌', pinyin: 'xū', animal: 'Dog' }, { char: '亥', pinyin: 'hài', animal: 'Pig' },
+];
 
 /**
- * Load a dataset from a JSON file
- * @param {string} url - Path to the JSON file
- * @returns {Promise<object>} The dataset object
+ * Lowercase and strip diacritics/separators for matching typed names
+ * @param {string} text
+ * @returns {string}
  */
-async function loadDataset(url) {
-    try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        const data = await response.json();
-        
-        // Normalize events (ensure all years are in HE)
-        if (data.events) {
-            data.events = data.events.map(event => {
-                // Parse year with circa detection
-                let yearValue, yearCirca = false;
-                if (typeof event.year === 'number') {
-                    yearValue = event.year;
-                } else {
-                    const parsed = parseDateToHEWithCirca(event.year);
-                    yearValue = parsed.year;
-                    yearCirca = parsed.circa;
-                }
-                
-                const normalizedEvent = {
-                    ...event,
-                    year: yearValue,
-                    circa: yearCirca,  // Store circa flag on the event
-                    sourceDataset: data.id,
-                    color: data.color || '#c9a227'
-                };
-                
-                // Also parse endYear if present (with circa detection)
-                if (event.endYear !== undefined) {
-                    if (typeof event.endYear === 'number') {
-                        normalizedEvent.endYear = event.endYear;
-                        normalizedEvent.endCirca = false;
-                    } else {
-                        const endParsed = parseDateToHEWithCirca(event.endYear);
-                        normalizedEvent.endYear = endParsed.year;
-                        normalizedEvent.endCirca = endParsed.circa;
-                    }
-                }
-                
-                return normalizedEvent;
-            });
-        }
-        
-        console.log(`Loaded dataset "${data.id}" with ${data.events?.length || 0} events`);
-        return data;
-    } catch (error) {
-        console.error(`Failed to load dataset from ${url}:`, error);
-        return null;
-    }
+function normalizeCalendarText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[\s\-'’]+/g, '');
 }
 
 /**
- * Load multiple datasets and merge them
- * @param {string[]} urls - Array of paths to JSON files
+ * Match a number with an optional (or, when strict, required) label before or after it
+ * @param {string} text - e.g. "AH 1", "1 AH", "1"
+ * @param {string[]} labels - Accepted labels (case-insensitive)
+ * @param {boolean} strict - Require a label
+ * @returns {object|null} { number, label } (label upper-cased, '' if none)
  */
-async function loadAllDatasets(urls) {
-    const results = await Promise.all(urls.map(url => loadDataset(url)));
-    
-    STATE.datasets = results.filter(d => d !== null);
-    
-    // Merge categories from all datasets
-    STATE.categories = {};
-    STATE.datasets.forEach(dataset => {
-        if (dataset.categories) {
-            STATE.categories = { ...STATE.categories, ...dataset.categories };
-        }
+function matchLabeledYear(text, labels, strict) {
+    const str = String(text).replace(/,/g, '').trim();
+    const pattern = labels.map(label => label.replace(/\./g, '\\.?')).join('|');
+    const match = str.match(new RegExp(`^(?:(${pattern})\\s*(-?\\d+)|(-?\\d+)\\s*(${pattern}))$`, 'i'))
+        || (!strict && str.match(/^()(-?\d+)$/));
+    if (!match) return null;
+    return {
+        number: parseInt(match[2] ?? match[3], 10),
+        label: (match[1] || match[4] || '').toUpperCase().replace(/\./g, ''),
+    };
+}
+
+/**
+ * First and last Julian Day Numbers of an HE year
+ * @param {number} heYear
+ * @returns {object} { start, end }
+ */
+function getHEYearJDNRange(heYear) {
+    return {
+        start: dateToJDN({ year: heYear, month: 1, day: 1 }, 'he'),
+        end: dateToJDN({ year: heYear, month: 12, day: 31 }, 'he'),
+    };
+}
+
+/**
+ * Join the first and last of a run of years as "a" or "a–b"
+ */
+function formatYearSpan(first, last, format = String) {
+    return first === last ? format(first) : `${format(first)}–${format(last)}`;
+}
+
+/**
+ * Hijri (tabular Islamic) year containing a Julian Day Number
+ * @param {number} jdn
+ * @returns {number} AH year (0 or less = before the Hijra)
+ */
+function getHijriYear(jdn) {
+    return Math.floor((30 * (jdn - HIJRI_EPOCH_JDN) + 10646) / 10631);
+}
+
+/**
+ * Julian Day Number of 1 Muharram of a Hijri year (tabular Islamic calendar)
+ * @param {number} ahYear
+ * @returns {number}
+ */
+function getHijriNewYearJDN(ahYear) {
+    return HIJRI_EPOCH_JDN - 1 + 354 * (ahYear - 1) + Math.floor((3 + 11 * ahYear) / 30);
+}
+
+/**
+ * Sexagenary cycle position (0 = 甲子) of the Chinese year that begins in an HE year
+ * @param {number} heYear
+ * @returns {number} 0-59
+ */
+function getSexagenaryIndex(heYear) {
+    const year = heYear - 10000; // Astronomical; 4 CE was 甲子
+    return (((year - 4) % 60) + 60) % 60;
+}
+
+/**
+ * Describe a sexagenary year
+ * @param {number} index - 0-59
+ * @returns {object} { chars, pinyin, name } e.g. { '甲辰', 'Jiǎchén', 'Wood Dragon' }
+ */
+function describeSexagenaryYear(index) {
+    const stem = SEXAGENARY_STEMS[index % 10];
+    const branch = SEXAGENARY_BRANCHES[index % 12];
+    return {
+        chars: stem.char + branch.char,
+        pinyin: stem.pinyin + branch.pinyin,
+        name: `${stem.element} ${branch.animal}`,
+    };
+}
+
+/**
+ * Format days since the Maya epoch as a Long Count (baktun.katun.tun.winal.kin)
+ * @param {number} days
+ * @returns {string}
+ */
+function formatLongCount(days) {
+    const units = [144000, 7200, 360, 20, 1];
+    let remaining = days;
+    return units.map(unit => {
+        const value = Math.floor(remaining / unit);
+        remaining -= value * unit;
+        return value;
+    }).join('.');
+}
+
+const WORLD_CALENDARS = {
+    ah: {
+        name: 'Anno Hegirae (Islamic)',
+        label: 'AH',
+        fromHE(heYear) {
+            const { start, end } = getHEYearJDNRange(heYear);
+            const format = year => year >= 1 ? `${year}` : `${1 - year} BH`;
+            return {
+                text: formatYearSpan(getHijriYear(start), getHijriYear(end), format),
+                title: 'Tabular Islamic calendar: lunar years of 354-355 days, so each Gregorian year overlaps two (sometimes three) Hijri years',
+            };
+        },
+        toHE(text, nearYear, strict) {
+            const match = matchLabeledYear(text, ['AH', 'A.H.', 'BH', 'B.H.'], strict);
+            if (!match) return NaN;
+            const year = match.label === 'BH' ? 1 - match.number : match.number;
+            return jdnToDate(getHijriNewYearJDN(year), 'he').year;
+        },
+    },
+    am: {
+        name: 'Anno Mundi (Hebrew)',
+        label: 'AM',
+        fromHE(heYear) {
+            // The Hebrew year begins in September/October (Rosh Hashanah)
+            return {
+                text: formatYearSpan(heYear - 6240, heYear - 6239),
+                title: 'Hebrew calendar: the year begins at Rosh Hashanah in September or October',
+            };
+        },
+        toHE(text, nearYear, strict) {
+            const match = matchLabeledYear(text, ['AM', 'A.M.'], strict);
+            return match ? match.number + 6239 : NaN;
+        },
+    },
+    be: {
+        name: 'Buddhist Era',
+        label: 'BE',
+        fromHE(heYear) {
+            return {
+                text: `${heYear - 9457}`,
+                title: 'Buddhist Era as used in Thailand (543 years before CE, year beginning Jan 1)',
+            };
+        },
+        toHE(text, nearYear, strict) {
+            const match = matchLabeledYear(text, ['BE', 'B.E.'], strict);
+            return match ? match.number + 9457 : NaN;
+        },
+    },
+    japanese: {
+        name: 'Japanese era (nengō)',
+        label: 'Nengō',
+        fromHE(heYear) {
+            const year = heYear - 10000;
+            // An era change year belongs to both the outgoing and the incoming era
+            const eras = JAPANESE_ERAS.filter((era, i) => {
+                const next = JAPANESE_ERAS[i + 1];
+                return era.start <= year && (!next || next.start >= year);
+            });
+            if (eras.length === 0) {
+                return { text: '—', title: 'Only modern eras (Meiji, 1868, onward) are supported' };
+            }
+            return {
+                text: eras.map(era => `${era.short}${year - era.start + 1}`).join('–'),
+                title: eras.map(era => `${era.name} ${year - era.start + 1}`).join(' – '),
+            };
+        },
+        toHE(text) {
+            const match = normalizeCalendarText(text).match(/^([a-z]+)(\d+)$/);
+            if (!match) return NaN;
+            const era = JAPANESE_ERAS.find(e =>
+                e.romaji.toLowerCase() === match[1] || e.short.toLowerCase() === match[1]);
+            return era ? era.start + parseInt(match[2], 10) - 1 + 10000 : NaN;
+        },
+    },
+    sexagenary: {
+        name: 'Chinese sexagenary cycle',
+        label: '干支',
+        fromHE(heYear) {
+            // Chinese New Year falls in Jan/Feb: the start of the year belongs to the previous cycle year
+            const before = describeSexagenaryYear(getSexagenaryIndex(heYear - 1));
+            const after = describeSexagenaryYear(getSexagenaryIndex(heYear));
+            return {
+                text: `${before.chars}–${after.chars}`,
+                title: `${before.pinyin} (${before.name}) until Chinese New Year, then ${after.pinyin} (${after.name})`,
+            };
+        },
+        toHE(text, nearYear) {
+            const typed = normalizeCalendarText(text);
+            let index = -1;
+            for (let i = 0; i < 60; i++) {
+                const year = describeSexagenaryYear(i);
+                if (typed === year.chars || typed === normalizeCalendarText(year.pinyin) ||
+                    typed === normalizeCalendarText(year.name)) {
+                    index = i;
+                    break;
+                }
+            }
+            if (index < 0) return NaN;
+            // The cycle repeats every 60 years - take the occurrence nearest the current view
+            const offset = (((index - getSexagenaryIndex(nearYear)) % 60) + 60) % 60;
+            return offset > 30 ? nearYear + offset - 60 : nearYear + offset;
+        },
+    },
+    maya: {
+        name: 'Maya Long Count',
+        label: 'Long Count',
+        fromHE(heYear) {
+            const { start, end } = getHEYearJDNRange(heYear);
+            if (start < MAYA_CORRELATION_JDN) {
+                return { text: '—', title: 'Before the Long Count epoch (Aug 11, 3114 BCE)' };
+            }
+            return {
+                text: formatLongCount(start - MAYA_CORRELATION_JDN),
+                title: `Jan 1: ${formatLongCount(start - MAYA_CORRELATION_JDN)} – Dec 31: ${formatLongCount(end - MAYA_CORRELATION_JDN)} (GMT correlation)`,
+            };
+        },
+        toHE(text) {
+            const match = String(text).trim().match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+            if (!match) return NaN;
+            const [baktun, katun, tun, winal, kin] = match.slice(1).map(Number);
+            const days = baktun * 144000 + katun * 7200 + tun * 360 + winal * 20 + kin;
+            return jdnToDate(days + MAYA_CORRELATION_JDN, 'he').year;
+        },
+    },
+};
+
+/**
+ * Parse a year typed in any world calendar (label required, e.g. "AH 1", "Reiwa 7")
+ * @param {string} text
+ * @param {number} nearYear - HE year to resolve repeating cycles against
+ * @returns {number} HE year, or NaN
+ */
+function parseWorldCalendarYear(text, nearYear) {
+    for (const calendar of Object.values(WORLD_CALENDARS)) {
+        const year = calendar.toHE(text, nearYear, true);
+        if (!isNaN(year)) return year;
+    }
+    return NaN;
+}
+
+/**
+ * Show the year at the reference line in the selected world calendar
+ * @param {number} heYear
+ */
+function updateWorldCalendarDisplay(heYear) {
+    const input = document.getElementById('currentYearWorld');
+    const calendar = WORLD_CALENDARS[CONFIG.worldCalendar];
+    if (!input || !calendar) return;
+    
+    const { text, title } = calendar.fromHE(heYear);
+    input.value = text;
+    input.title = `${calendar.name}: ${title}. Type a year and press Enter to jump`;
+}
+
+/**
+ * Choose the calendar shown in the third year input
+ * @param {string} key - WORLD_CALENDARS key
+ */
+function setWorldCalendar(key) {
+    if (!WORLD_CALENDARS[key]) return;
+    CONFIG.worldCalendar = key;
+    const select = document.getElementById('worldCalendarSelect');
+    if (select) select.value = key;
+    updateYearDisplay();
+}
+
+/**
+ * Setup the world calendar selector and year input
+ */
+function setupWorldCalendarInput() {
+    const input = document.getElementById('currentYearWorld');
+    const select = document.getElementById('worldCalendarSelect');
+    if (!input || !select) return;
+    
+    select.innerHTML = Object.entries(WORLD_CALENDARS)
+        .map(([key, calendar]) => `<option value="${key}" title="${calendar.name}">${calendar.label}</option>`)
+        .join('');
+    
+    const savedCalendar = readPreferences()?.worldCalendar;
+    if (WORLD_CALENDARS[savedCalendar]) CONFIG.worldCalendar = savedCalendar;
+    select.value = CONFIG.worldCalendar;
+    
+    select.addEventListener('change', () => {
+        setWorldCalendar(select.value);
+        savePreferences();
     });
     
-    // Merge all events
-    STATE.allEvents = STATE.datasets
-        .flatMap(dataset => dataset.events || [])
-        .sort((a, b) => a.year - b.year);
-    
-    // Add dynamic "Today" event
-    // (Removed - just using a marker instead)
-    
-    // Separate point events and range events
-    STATE.pointEvents = STATE.allEvents.filter(e => !e.endYear);
-    STATE.rangeEvents = STATE.allEvents.filter(e => e.endYear);
-    
-    // Separate age events (for overlay rendering)
-    STATE.ageEvents = STATE.allEvents.filter(e => e.isAge);
-    
-    // Pre-assign sides to all events based on their START year position
-    // Since all events (including ranges) now display at their start year,
-    // we sort by start year for proper left/right alternation
-    const allSorted = [...STATE.allEvents].sort((a, b) => a.year - b.year);
+    let valueOnFocus = '';
     
-    allSorted.forEach((event, index) => {
-        event.side = index % 2 === 0 ? 'left' : 'right';
+    input.addEventListener('focus', () => {
+        isEditingYear = true;
+        valueOnFocus = input.value;
+        input.select();
     });
     
-    // Initialize filters - all categories active by default
-    STATE.activeFilters = new Set(Object.keys(STATE.categories));
-    
-    // Build filter UI
-    buildFilterUI();
+    input.addEventListener('blur', () => {
+        // Only navigate if value changed
+        if (input.value !== valueOnFocus) {
+            const calendar = WORLD_CALENDARS[CONFIG.worldCalendar];
+            const targetYear = calendar.toHE(input.value, getYearAtReference(), false);
+            
+            if (!isNaN(targetYear)) {
+                isEditingYear = false;
+                jumpToYear(targetYear);
+                return;
+            }
+        }
+        isEditingYear = false;
+        updateYearDisplay();
+    });
     
-    console.log(`Loaded ${STATE.datasets.length} datasets with ${STATE.pointEvents.length} point events and ${STATE.rangeEvents.length} range events`);
-    console.log(`Categories: ${Object.keys(STATE.categories).join(', ')}`);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            input.blur(); // Let blur handler do the navigation
+        } else if (e.key === 'Escape') {
+            input.value = valueOnFocus; // Restore original
+            isEditingYear = false;
+            input.blur();
+        }
+    });
 }
 
-// ============ FILTER FUNCTIONS ============
+// ============ DISPLAY UNITS ============
 
-// Default color for uncategorized events (gold) - defined here so buildFilterUI can use it
-const DEFAULT_COLOR = { bg: 'rgba(201, 162, 39, 0.3)', border: '#8a7019', text: '#c9a227' };
+const DISPLAY_UNITS = ['he', 'he+ago', 'he+bp', 'ago', 'bp'];
 
 /**
- * Build the filter UI checkboxes
+ * Choose how marker and geological card dates are shown, re-rendering the track
+ * @param {string} unit - One of DISPLAY_UNITS
  */
-function buildFilterUI() {
-    const filterOptions = document.getElementById('filterOptions');
-    if (!filterOptions) return;
-    
-    filterOptions.innerHTML = '';
-    
-    Object.entries(STATE.categories).forEach(([key, category]) => {
-        const color = category.color || DEFAULT_COLOR;
-        // Create a dimmer version of the color for the toggle background
-        const colorDim = color.border.replace('#', '');
-        const r = parseInt(colorDim.substr(0, 2), 16);
-        const g = parseInt(colorDim.substr(2, 2), 16);
-        const b = parseInt(colorDim.substr(4, 2), 16);
-        const dimColor = `rgba(${r}, ${g}, ${b}, 0.4)`;
-        
-        const label = document.createElement('label');
-        label.className = 'filter-option active'; // Start active
-        label.style.setProperty('--filter-color', color.border);
-        label.style.setProperty('--filter-color-dim', dimColor);
-        label.innerHTML = `
-            <input type="checkbox" value="${key}" checked data-category="${key}">
-            <span class="filter-option-text">
-                <span class="filter-option-icon">${category.icon || ''}</span>
-                <span class="filter-option-label">${category.name}</span>
-            </span>
-            <span class="filter-toggle"></span>
-        `;
+function setDisplayUnit(unit) {
+    if (!DISPLAY_UNITS.includes(unit)) return;
+    const select = document.getElementById('displayUnitSelect');
+    if (select) select.value = unit;
+    if (unit === CONFIG.displayUnit) return;
+    applyScaleChange(() => {
+        CONFIG.displayUnit = unit;
+    });
+}
+
+/**
+ * Setup the sidebar "Dates Shown As" selector
+ */
+function setupDisplayUnitSelect() {
+    const select = document.getElementById('displayUnitSelect');
+    if (!select) return;
+    select.value = CONFIG.displayUnit;
+    select.addEventListener('change', () => {
+        setDisplayUnit(select.value);
+        savePreferences();
+    });
+}
+
+// ============ PIXEL/YEAR CONVERSION ============
+
+/*
+ * The track is drawn through a time scale that maps HE years to pixels from the
+ * top of the track (pixel 0 = earliest year shown). Three modes (CONFIG.scaleMode):
+ * - 'linear':    two segments - the compressed deep-time (BHE) section before 0 HE
+ *                (CONFIG.deepTimeScale) and the Holocene at CONFIG.pxPerYear
+ * - 'piecewise': like linear, but CONFIG.piecewiseRules override px/yr for spans of years
+ * - 'log':       logarithmic in years before present; CONFIG.pxPerYear sets how many
+ *                pixels each 10x step back in time takes (x CONFIG.logScaleFactor)
+ * The scale is cached in STATE.timeScale and rebuilt by renderTimeline().
+ */
+
+/**
+ * Pixels per year inside the deep-time (BHE) section
+ * @returns {number}
+ */
+function getDeepTimePxPerYear() {
+    return CONFIG.pxPerYear * CONFIG.deepTimeScale;
+}
+
+/**
+ * Pixels for each 10x step back in time in log mode
+ * @returns {number}
+ */
+function getLogPxPerDecade() {
+    return CONFIG.pxPerYear * CONFIG.logScaleFactor;
+}
+
+/**
+ * Build linear segments covering the track for 'linear' and 'piecewise' modes.
+ * Later rules win where piecewise rules overlap. Adjacent segments with the same
+ * px/yr are merged so every remaining boundary is a real scale break.
+ * @returns {object[]} [{ start, end, pxPerYear, startPx }]
+ */
+function buildScaleSegments() {
+    const start = STATE.deepTimeStart;
+    const end = getCurrentHoloceneYear();
+    const rules = CONFIG.scaleMode === 'piecewise' ? CONFIG.piecewiseRules : [];
+    
+    // Every place the px/yr could change
+    const breakpoints = new Set([start, 0, end]);
+    rules.forEach(rule => {
+        [rule.start, rule.end].forEach(y => {
+            if (isFinite(y) && y > start && y < end) breakpoints.add(y);
+        });
+    });
+    const points = [...breakpoints].filter(y => y >= start && y <= end).sort((a, b) => a - b);
+    
+    const segments = [];
+    let startPx = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        const segStart = points[i];
+        const segEnd = points[i + 1];
+        const mid = (segStart + segEnd) / 2;
         
-        const checkbox = label.querySelector('input');
-        checkbox.addEventListener('change', () => {
-            if (checkbox.checked) {
-                STATE.activeFilters.add(key);
-                label.classList.add('active');
-            } else {
-                STATE.activeFilters.delete(key);
-                label.classList.remove('active');
-            }
-            updateFilterCount();
-            renderTimeline();
+        let pxPerYear = mid < 0 ? getDeepTimePxPerYear() : CONFIG.pxPerYear;
+        rules.forEach(rule => {
+            if (mid >= rule.start && mid < rule.end) pxPerYear = rule.pxPerYear;
         });
         
-        filterOptions.appendChild(label);
-    });
+        const previous = segments[segments.length - 1];
+        if (previous && previous.pxPerYear === pxPerYear) {
+            previous.end = segEnd;
+        } else {
+            segments.push({ start: segStart, end: segEnd, pxPerYear, startPx });
+        }
+        startPx += (segEnd - segStart) * pxPerYear;
+    }
     
-    updateFilterCount();
+    // Degenerate track (no years) - keep a single segment so lookups still work
+    if (segments.length === 0) {
+        segments.push({ start, end, pxPerYear: CONFIG.pxPerYear, startPx: 0 });
+    }
+    return segments;
 }
 
 /**
- * Update the filter count display
+ * Get the current time scale, building it if needed
+ * @returns {object} { mode, segments } or { mode: 'log', present, logSpan, pxPerDecade }
  */
-function updateFilterCount() {
-    const filterCount = document.getElementById('filterCount');
-    if (!filterCount) return;
-    
-    const total = Object.keys(STATE.categories).length;
-    const active = STATE.activeFilters.size;
-    
-    if (active === total) {
-        filterCount.textContent = '';
-    } else {
-        filterCount.textContent = `${active}/${total}`;
+function getTimeScale() {
+    if (!STATE.timeScale) {
+        if (CONFIG.scaleMode === 'log') {
+            const present = getCurrentHoloceneYear();
+            STATE.timeScale = {
+                mode: 'log',
+                present,
+                logSpan: Math.log10(present - STATE.deepTimeStart + 1),
+                pxPerDecade: getLogPxPerDecade()
+            };
+        } else {
+            STATE.timeScale = { mode: CONFIG.scaleMode, segments: buildScaleSegments() };
+        }
     }
+    return STATE.timeScale;
 }
 
 /**
- * Setup filter controls (toggle, all/none buttons)
+ * Drop the cached time scale (call after changing scale, mode, rules or deep-time start)
  */
-function setupFilterControls() {
-    const filterToggle = document.getElementById('filterToggle');
-    const filterPanel = document.getElementById('filterPanel');
-    const filterAll = document.getElementById('filterAll');
-    const filterNone = document.getElementById('filterNone');
+function invalidateTimeScale() {
+    STATE.timeScale = null;
+}
+
+/**
+ * Find the segment containing a year (first/last segment for out-of-range years)
+ */
+function findScaleSegment(segments, year) {
+    for (let i = segments.length - 1; i >= 0; i--) {
+        if (year >= segments[i].start) return segments[i];
+    }
+    return segments[0];
+}
+
+function yearToPixels(year) {
+    // Clamp anything before the deep-time start to the top of the track
+    if (year < STATE.deepTimeStart) return 0;
     
-    if (filterToggle && filterPanel) {
-        filterToggle.addEventListener('click', () => {
-            filterPanel.classList.toggle('open');
-        });
+    const scale = getTimeScale();
+    if (scale.mode === 'log') {
+        const yearsBeforePresent = Math.max(0, scale.present - year);
+        return (scale.logSpan - Math.log10(yearsBeforePresent + 1)) * scale.pxPerDecade;
     }
     
-    if (filterAll) {
-        filterAll.addEventListener('click', () => {
-            STATE.activeFilters = new Set(Object.keys(STATE.categories));
-            document.querySelectorAll('#filterOptions .filter-option').forEach(opt => {
-                opt.classList.add('active');
-                opt.querySelector('input[type="checkbox"]').checked = true;
-            });
-            updateFilterCount();
-            renderTimeline();
-        });
+    const segment = findScaleSegment(scale.segments, year);
+    return segment.startPx + (year - segment.start) * segment.pxPerYear;
+}
+
+function pixelsToYear(px) {
+    const scale = getTimeScale();
+    if (scale.mode === 'log') {
+        const yearsBeforePresent = Math.pow(10, scale.logSpan - px / scale.pxPerDecade) - 1;
+        return Math.round(scale.present - yearsBeforePresent);
     }
     
-    if (filterNone) {
-        filterNone.addEventListener('click', () => {
-            STATE.activeFilters.clear();
-            document.querySelectorAll('#filterOptions .filter-option').forEach(opt => {
-                opt.classList.remove('active');
-                opt.querySelector('input[type="checkbox"]').checked = false;
-            });
-            updateFilterCount();
-            renderTimeline();
-        });
+    let segment = scale.segments[0];
+    for (const candidate of scale.segments) {
+        if (px >= candidate.startPx) segment = candidate;
+    }
+    return Math.round(segment.start + (px - segment.startPx) / segment.pxPerYear);
+}
+
+/**
+ * Local scale at a year - pixels per year at that point on the track
+ * @param {number} year - Year in HE
+ * @returns {number}
+ */
+function getLocalPxPerYear(year) {
+    const scale = getTimeScale();
+    if (scale.mode === 'log') {
+        const yearsBeforePresent = Math.max(0, scale.present - year);
+        return scale.pxPerDecade / ((yearsBeforePresent + 1) * Math.LN10);
+    }
+    return findScaleSegment(scale.segments, year).pxPerYear;
+}
+
+/**
+ * Parse piecewise scale rules typed by the user.
+ * Rules are separated by ";" or new lines, each "<span>: <px/yr>" where span is
+ * "before <year>", "after <year>" or "<year> to <year>". Years go through
+ * parseDateToHE, so "before 3000 BCE: 1" works. "before" spans start at 0 HE so
+ * they leave the deep-time section alone; use "X BHE to Y" to rescale deep time.
+ * Example: "before 5000: 1; after 11500: 10"
+ * @param {string} text
+ * @returns {object} { rules: [{ start, end, pxPerYear }], errors: string[] }
+ */
+function parsePiecewiseRules(text) {
+    const rules = [];
+    const errors = [];
+    const parseYear = (str) => parseDateToHE(str.replace(/,/g, '').trim());
+    
+    String(text || '').split(/[;\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = part.match(/^(.+?)\s*:\s*([\d.]+)\s*(?:px\/yr)?$/i);
+        const pxPerYear = match ? parseFloat(match[2]) : NaN;
+        if (!match || !(pxPerYear > 0)) {
+            errors.push(`"${part}" - expected "<span>: <px/yr>"`);
+            return;
+        }
+        
+        const span = match[1].trim();
+        let start = 0;
+        let end = Infinity;
+        const before = span.match(/^before\s+(.+)$/i);
+        const after = span.match(/^after\s+(.+)$/i);
+        const between = span.match(/^(.+?)\s+(?:to|–)\s+(.+)$/i);
+        if (before) {
+            end = parseYear(before[1]);
+        } else if (after) {
+            start = parseYear(after[1]);
+        } else if (between) {
+            start = parseYear(between[1]);
+            end = parseYear(between[2]);
+        } else {
+            errors.push(`"${part}" - span must be "before X", "after X" or "X to Y"`);
+            return;
+        }
+        
+        if (isNaN(start) || isNaN(end) || start >= end) {
+            errors.push(`"${part}" - could not read the years`);
+            return;
+        }
+        rules.push({ start, end, pxPerYear: Math.min(CONFIG.maxPiecewisePxPerYear, pxPerYear) });
+    });
+    
+    return { rules, errors };
+}
+
+/**
+ * Round a raw interval up to a "nice" 1/2/5 x 10^n step
+ * @param {number} raw - Minimum interval
+ * @returns {number}
+ */
+function getNiceInterval(raw) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    for (const step of [1, 2, 5, 10]) {
+        if (step * magnitude >= raw) return step * magnitude;
     }
+    return 10 * magnitude;
+}
+
+/**
+ * Compute where the deep-time section starts from the earliest loaded event.
+ * Rounded down one order of magnitude below the earliest year
+ * (e.g. -3,290,000 HE -> 3,300,000 BHE, -54,999 HE -> 55,000 BHE).
+ * @param {object[]} events - Normalized events (years in HE)
+ * @returns {number} Deep-time start in HE (0 if nothing predates the Holocene)
+ */
+function computeDeepTimeStart(events) {
+    const earliest = events.reduce((min, e) => isNaN(e.year) ? min : Math.min(min, e.year), 0);
+    if (earliest >= 0) return 0;
+    const step = Math.pow(10, Math.max(0, Math.floor(Math.log10(-earliest)) - 1));
+    return Math.floor(earliest / step) * step;
+}
+
+function yearToCE(year) {
+    return Math.floor(year - 10000);
+}
+
+// ============ FORMATTING ============
+
+/**
+ * Format a single year for display, handling negative years (BHE)
+ * @param {number} year - Year in HE (can be negative)
+ * @returns {string} Formatted year string
+ */
+function formatSingleYear(year) {
+    if (year < 0) {
+        // Negative HE = Before Holocene Era
+        return `${Math.abs(year).toLocaleString()} BHE`;
+    }
+    return `${year.toLocaleString()} HE`;
+}
+
+function formatYear(year) {
+    return formatSingleYear(year);
+}
+
+/**
+ * Format a year as time before present
+ * @param {number} year - Year in HE
+ * @param {string} unit - 'ago' (years before now) or 'bp' (years before 1950 CE, ka/Ma when large)
+ * @returns {string} e.g. "12,900 years ago", "3.29 million years ago", "12,900 BP", "3.3 Ma"
+ *   (years from 1950 CE on have no BP value and are given in CE, e.g. "2000 CE")
+ */
+function formatRelativeYear(year, unit) {
+    const yearsBefore = unit === 'bp' ? BP_PRESENT_HE - year : getCurrentHoloceneYear() - year;
+    const round = (value, digits) => (Math.round(value * 10 ** digits) / 10 ** digits).toLocaleString();
+    
+    if (unit === 'bp') {
+        if (yearsBefore >= 1e6) return `${round(yearsBefore / 1e6, 2)} Ma`;
+        if (yearsBefore >= 1e5) return `${round(yearsBefore / 1e3, 1)} ka`;
+        if (yearsBefore <= 0) return formatCEYear(year);
+        return `${yearsBefore.toLocaleString()} BP`;
+    }
+    if (yearsBefore >= 1e6) return `${round(yearsBefore / 1e6, 2)} million years ago`;
+    if (yearsBefore <= 0) return 'this year';
+    return `${yearsBefore.toLocaleString()} ${yearsBefore === 1 ? 'year' : 'years'} ago`;
+}
+
+/**
+ * Format a marker year in the display unit (CONFIG.displayUnit)
+ * @param {number} year - Year in HE
+ * @returns {string} e.g. "11,000 HE", "11,000 HE · 1,026 years ago", "950 BP"
+ */
+function formatMarkerYear(year) {
+    const unit = CONFIG.displayUnit;
+    if (unit === 'he') return formatSingleYear(year);
+    
+    const relative = formatRelativeYear(year, unit.replace('he+', ''));
+    return unit.startsWith('he+') ? `${formatSingleYear(year)} · ${relative}` : relative;
+}
+
+/**
+ * Format a month/day prefix for a year ("Oct 15, ", "Oct " or "")
+ * @param {number} [month] - 1-12
+ * @param {number} [day] - 1-31
+ * @returns {string}
+ */
+function formatMonthDay(month, day) {
+    if (!month) return '';
+    const name = MONTH_NAMES[month - 1].slice(0, 3);
+    return day ? `${name} ${day}, ` : `${name} `;
+}
+
+/**
+ * Lowercase, accent-free, hyphenated form of some text ("Göbekli Tepe" -> "gobekli-tepe")
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Escape text for safe insertion into innerHTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check that a link is a web address (imported files may hold javascript: or
+ * other URLs that must not become clickable)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isWebURL(url) {
+    return /^https?:\/\//i.test(String(url ?? '').trim());
+}
+
+/**
+ * Format the year display based on event type
+ * @param {object} eventData - The event object with year, endYear, and optional type
+ * @returns {string} Formatted year string
+ * 
+ * Type logic:
+ * - "person": "b. X - d. Y HE" (birth to death)
+ * - "approximate": "Between X - Y HE" (uncertain range) or "c. X HE" (single approximate)
+ * - "range": "X - Y HE" (definite range like empires, wars)
+ * - "event" or default: "X HE" (single date)
+ * 
+ * Circa flags:
+ * - eventData.circa: if true, shows "c." prefix on start year
+ * - eventData.endCirca: if true, shows "c." prefix on end year
+ * 
+ * Month/day precision (month/day, endMonth/endDay) is shown before the year:
+ * "Oct 15, 11,582 HE"
+ *
+ * Uncertainty bounds (yearMin/yearMax, endYearMin/endYearMax) follow the year:
+ * "c. 6,700 HE (6,650–6,750)"
+ * 
+ * Range formatting:
+ * - For ranges, only show era (HE/BHE) on the end year to reduce redundancy
+ * - Exception: if start is BHE and end is HE, show both eras
+ * 
+ * If type is not specified:
+ * - Has endYear -> defaults to "range"
+ * - No endYear -> defaults to "event"
+ */
+function formatHEYearDisplay(eventData) {
+    const year = eventData.year;
+    const endYear = eventData.endYear;
+    const startDate = formatMonthDay(eventData.month, eventData.day);
+    const endDate = formatMonthDay(eventData.endMonth, eventData.endDay);
+    const circa = eventData.circa || false;
+    const endCirca = eventData.endCirca || false;
+    const type = eventData.type || (endYear ? 'range' : 'event');
+    
+    // Check if start and end have different eras (one BHE, one HE)
+    const startIsBHE = year < 0;
+    const endIsBHE = endYear < 0;
+    const sameEra = startIsBHE === endIsBHE;
+    
+    // Format number with commas but no era suffix
+    const formatNumberOnly = (y) => {
+        if (y < 0) return Math.abs(y).toLocaleString();
+        return y.toLocaleString();
+    };
+    
+    // Uncertainty bounds, e.g. " (6,650–6,750)" - eras only shown when they differ
+    const formatBounds = (min, max) => {
+        if (min === undefined || min === null) return '';
+        if ((min < 0) !== (max < 0)) return ` (${formatSingleYear(min)}–${formatSingleYear(max)})`;
+        return ` (${formatNumberOnly(min)}–${formatNumberOnly(max)})`;
+    };
+    const startBounds = formatBounds(eventData.yearMin, eventData.yearMax);
+    const endBounds = formatBounds(eventData.endYearMin, eventData.endYearMax);
+    
+    // Helpers to format with optional circa prefix
+    // For ranges: start year gets no era suffix (unless eras differ), end year always gets suffix
+    const formatStartInRange = () => {
+        const num = formatNumberOnly(year);
+        const c = circa ? 'c. ' : '';
+        // Only add era if it differs from end year's era
+        if (!sameEra) {
+            return `${c}${startDate}${num} ${startIsBHE ? 'BHE' : 'HE'}${startBounds}`;
+        }
+        return `${c}${startDate}${num}${startBounds}`;
+    };
+    
+    const formatStart = () => `${circa ? 'c. ' : ''}${startDate}${formatSingleYear(year)}${startBounds}`;
+    const formatEnd = () => `${endCirca ? 'c. ' : ''}${endDate}${formatSingleYear(endYear)}${endBounds}`;
+    
+    switch (type) {
+        case 'person':
+            if (endYear) {
+                return `b. ${formatStartInRange()} – d. ${formatEnd()}`;
+            }
+            return `b. ${formatStart()}`;
+        
+        case 'approximate':
+            if (endYear) {
+                return `Between ${formatStartInRange()} – ${formatEnd()}`;
+            }
+            return `c. ${startDate}${formatSingleYear(year)}${startBounds}`; // Always show c. for single approximate
+        
+        case 'range':
+            if (endYear) {
+                return `${formatStartInRange()} – ${formatEnd()}`;
+            }
+            return formatStart();
+        
+        case 'event':
+        default:
+            return formatStart();
+    }
+}
+
+/**
+ * Format an event's date for cards: the HE date, plus or instead of its time
+ * before present for events in CONFIG.agoCategories (see CONFIG.displayUnit)
+ * @param {object} eventData - The event object
+ * @returns {string} Formatted date string
+ */
+function formatYearDisplay(eventData) {
+    const heLabel = formatHEYearDisplay(eventData);
+    const unit = CONFIG.displayUnit;
+    const usesUnit = eventData.categories?.some(key => CONFIG.agoCategories.includes(key));
+    if (unit === 'he' || !usesUnit) return heLabel;
+    
+    const relativeUnit = unit.replace('he+', '');
+    // Later years are fewer years ago, so bounds read max first
+    const formatRelative = (year, circa, min, max) => {
+        const label = `${circa ? 'c. ' : ''}${formatRelativeYear(year, relativeUnit)}`;
+        if (min === undefined || min === null) return label;
+        return `${label} (${formatRelativeYear(max, relativeUnit)} – ${formatRelativeYear(min, relativeUnit)})`;
+    };
+    let relativeLabel = formatRelative(eventData.year, eventData.circa, eventData.yearMin, eventData.yearMax);
+    if (eventData.endYear !== undefined) {
+        relativeLabel += ` – ${formatRelative(eventData.endYear, eventData.endCirca, eventData.endYearMin, eventData.endYearMax)}`;
+    }
+    return unit.startsWith('he+') ? `${heLabel} · ${relativeLabel}` : relativeLabel;
+}
+
+// ============ DATASET VALIDATION ============
+
+/*
+ * Datasets are checked against DATASET_SCHEMA when loaded. Problems are collected
+ * into STATE.diagnostics and listed in the diagnostics panel:
+ * - errors:   the dataset (bad top level) or event (bad field, unparseable date,
+ *             reversed range) is left out rather than rendered broken
+ * - warnings: the event is kept (unknown category or region, unusable location,
+ *             malformed relation, missing source, duplicate id or title)
+ * Relations pointing at an id no loaded event has are reported once the datasets
+ * are merged, since they may refer to another dataset.
+ * Fields not in the schema are ignored.
+ */
+const EVENT_TYPES = ['event', 'range', 'person', 'approximate'];
+const EVENT_CALENDARS = ['gregorian', 'julian']; // Calendar full dates were recorded in
+
+// Relation types, labelled from the listing event's side and from the target's
+const RELATION_TYPES = {
+    causes: { label: 'Led to', inverse: 'Caused by', directed: true },
+    'part-of': { label: 'Part of', inverse: 'Includes', directed: true },
+    contemporaneous: { label: 'Contemporary with', inverse: 'Contemporary with' },
+    'see-also': { label: 'See also', inverse: 'See also' },
+};
+
+const DATASET_SCHEMA = {
+    dataset: {
+        id: { type: 'string', required: true },
+        name: { type: 'string' },
+        color: { type: 'string', pattern: /^#[0-9a-f]{6}$/i },
+        categories: { type: 'object' },
+        regions: { type: 'object' },
+        calendar: { type: 'string', values: EVENT_CALENDARS },
+        events: { type: 'array', required: true },
+    },
+    category: {
+        name: { type: 'string', required: true },
+        icon: { type: 'string' },
+        color: { type: 'object' },
+    },
+    region: {
+        name: { type: 'string', required: true },
+        color: { type: 'string', pattern: /^#[0-9a-f]{6}$/i },
+    },
+    event: {
+        id: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/ },
+        title: { type: 'string', required: true },
+        year: { type: ['string', 'number'], required: true },
+        endYear: { type: ['string', 'number'] },
+        calendar: { type: 'string', values: EVENT_CALENDARS },
+        desc: { type: 'string' },
+        type: { type: 'string', values: EVENT_TYPES },
+        isAge: { type: 'boolean' },
+        ageColor: { type: 'string', pattern: /^#[0-9a-f]{6}$/i },
+        source: { type: 'string' },
+        categories: { type: 'array' },
+        regions: { type: 'array' },
+        location: { type: 'object' },
+        related: { type: 'array' },
+    },
+    relation: {
+        id: { type: 'string', required: true },
+        type: { type: 'string', values: Object.keys(RELATION_TYPES), required: true },
+    },
+};
+
+/**
+ * Get the schema type name of a JSON value
+ * @returns {string} 'string', 'number', 'boolean', 'array', 'object' or 'null'
+ */
+function getSchemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Check an object's fields against a schema
+ * @param {object} obj - Value to check
+ * @param {object} fields - One of the DATASET_SCHEMA entries
+ * @returns {string[]} Error messages (empty if valid)
+ */
+function checkSchemaFields(obj, fields) {
+    if (getSchemaType(obj) !== 'object') {
+        return [`expected an object, got ${getSchemaType(obj)}`];
+    }
+    
+    const errors = [];
+    Object.entries(fields).forEach(([name, rule]) => {
+        const value = obj[name];
+        if (value === undefined) {
+            if (rule.required) errors.push(`missing required field "${name}"`);
+            return;
+        }
+        const types = [].concat(rule.type);
+        const type = getSchemaType(value);
+        if (!types.includes(type)) {
+            errors.push(`"${name}" should be ${types.join(' or ')}, got ${type}`);
+        } else if (rule.values && !rule.values.includes(value)) {
+            errors.push(`"${name}" should be one of ${rule.values.join(', ')}, got "${value}"`);
+        } else if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push(`"${name}" has an invalid value "${value}"`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Validate a dataset as loaded from JSON
+ * @param {object} data - Raw dataset
+ * @param {string} url - Where it was loaded from (for reporting)
+ * @returns {object} { events, issues } - events that passed (null if the whole
+ *   dataset is unusable) and issues { severity, dataset, event, message, index }
+ *   (index is the event's position in data.events; null for dataset-level issues)
+ */
+function validateDataset(data, url) {
+    const issues = [];
+    const datasetName = (data && typeof data.id === 'string') ? data.id : url;
+    const report = (severity, event, message, index = null) => {
+        issues.push({ severity, dataset: datasetName, event, message, index });
+    };
+    
+    // Without an id and an events array there is nothing to load;
+    // other top-level problems (name, color, categories) are only warnings
+    const datasetErrors = checkSchemaFields(data, DATASET_SCHEMA.dataset);
+    const usable = getSchemaType(data) === 'object' && typeof data.id === 'string' && Array.isArray(data.events);
+    datasetErrors.forEach(message => report(usable ? 'warning' : 'error', null, message));
+    if (!usable) {
+        return { events: null, issues };
+    }
+    
+    const categories = getSchemaType(data.categories) === 'object' ? data.categories : {};
+    Object.entries(categories).forEach(([key, category]) => {
+        checkSchemaFields(category, DATASET_SCHEMA.category)
+            .forEach(message => report('warning', null, `category "${key}": ${message}`));
+    });
+    
+    const regions = getSchemaType(data.regions) === 'object' ? data.regions : {};
+    Object.entries(regions).forEach(([key, region]) => {
+        checkSchemaFields(region, DATASET_SCHEMA.region)
+            .forEach(message => report('warning', null, `region "${key}": ${message}`));
+    });
+    
+    const seenTitles = new Set();
+    const seenIds = new Set();
+    const events = data.events.filter((event, index) => {
+        const label = typeof event?.title === 'string' && event.title ? event.title : `event #${index + 1}`;
+        const errors = checkSchemaFields(event, DATASET_SCHEMA.event);
+        
+        if (errors.length === 0) {
+            const calendar = event.calendar || data.calendar;
+            const start = getDatePosition(parseEventDate(event.year, calendar));
+            if (isNaN(start)) errors.push(`unparseable year "${event.year}"`);
+            
+            if (event.endYear !== undefined) {
+                const end = getDatePosition(parseEventDate(event.endYear, calendar));
+                if (isNaN(end)) {
+                    errors.push(`unparseable endYear "${event.endYear}"`);
+                } else if (!isNaN(start) && end < start) {
+                    errors.push(`endYear "${event.endYear}" is before year "${event.year}"`);
+                }
+            }
+        }
+        
+        if (errors.length > 0) {
+            errors.forEach(message => report('error', label, message, index));
+            return false;
+        }
+        
+        (event.categories || [])
+            .filter(key => !categories[key])
+            .forEach(key => report('warning', label, `unknown category "${key}"`, index));
+        (event.regions || [])
+            .filter(key => !regions[key])
+            .forEach(key => report('warning', label, `unknown region "${key}"`, index));
+        if (event.location !== undefined && !getEventLocation(event)) {
+            report('warning', label, 'location should be { "lat": -90 to 90, "lon": -180 to 180 } (left off the map)', index);
+        }
+        (event.related || []).forEach((relation, i) => {
+            checkSchemaFields(relation, DATASET_SCHEMA.relation)
+                .forEach(message => report('warning', label, `related[${i}]: ${message}`, index));
+        });
+        if (!event.source) {
+            report('warning', label, 'missing source', index);
+        }
+        if (seenTitles.has(event.title)) {
+            report('warning', label, 'duplicate title', index);
+        }
+        seenTitles.add(event.title);
+        if (event.id !== undefined && seenIds.has(event.id)) {
+            report('warning', label, `duplicate id "${event.id}"`, index);
+        }
+        seenIds.add(event.id);
+        return true;
+    });
+    
+    return { events, issues };
+}
+
+/**
+ * Add dataset issues to the diagnostics panel (and the console)
+ * @param {object[]} issues - From validateDataset()
+ */
+function reportDatasetIssues(issues) {
+    if (issues.length === 0) return;
+    
+    issues.forEach(issue => {
+        const where = issue.event ? `${issue.dataset} / ${issue.event}` : issue.dataset;
+        const log = issue.severity === 'error' ? console.error : console.warn;
+        log(`Dataset ${issue.severity}: ${where}: ${issue.message}`);
+    });
+    
+    STATE.diagnostics.push(...issues);
+    renderDiagnosticsPanel();
+}
+
+/**
+ * Show the diagnostics panel with all collected issues (errors first)
+ */
+function renderDiagnosticsPanel() {
+    const panel = document.getElementById('diagnosticsPanel');
+    const summary = document.getElementById('diagnosticsSummary');
+    const list = document.getElementById('diagnosticsList');
+    if (!panel || !list) return;
+    
+    const errors = STATE.diagnostics.filter(issue => issue.severity === 'error');
+    const warnings = STATE.diagnostics.filter(issue => issue.severity === 'warning');
+    
+    if (summary) {
+        const parts = [];
+        if (errors.length) parts.push(`${errors.length} error${errors.length === 1 ? '' : 's'}`);
+        if (warnings.length) parts.push(`${warnings.length} warning${warnings.length === 1 ? '' : 's'}`);
+        summary.textContent = `Dataset issues: ${parts.join(', ')}`;
+    }
+    
+    list.innerHTML = [...errors, ...warnings].map(issue => `
+        <li class="diagnostics-item ${issue.severity}">
+            <span class="diagnostics-where">${escapeHTML(issue.dataset)}${issue.event ? ` / ${escapeHTML(issue.event)}` : ''}</span>
+            <span class="diagnostics-message">${escapeHTML(issue.message)}</span>
+        </li>
+    `).join('');
+    
+    panel.hidden = STATE.diagnostics.length === 0;
+}
+
+/**
+ * Setup the diagnostics panel dismiss button
+ */
+function setupDiagnosticsPanel() {
+    const panel = document.getElementById('diagnosticsPanel');
+    const dismissBtn = document.getElementById('diagnosticsDismiss');
+    
+    dismissBtn?.addEventListener('click', () => {
+        if (panel) panel.hidden = true;
+    });
+}
+
+// ============ DATA LOADING ============
+
+/**
+ * Normalize a validated dataset's events in place (ensure all years are in HE)
+ * @param {object} data - Dataset whose events passed validateDataset()
+ * @returns {object} The same dataset
+ */
+function normalizeDataset(data) {
+    if (data.events) {
+        data.events = data.events.map(event => {
+            // Parse year with circa detection (and month/day precision),
+            // converting full dates recorded in the Julian calendar
+            const calendar = event.calendar || data.calendar;
+            const parsed = parseEventDate(event.year, calendar);
+            
+            const normalizedEvent = {
+                ...event,
+                year: parsed.year,
+                circa: parsed.circa,  // Store circa flag on the event
+                sourceDataset: data.id,
+                color: data.color || '#c9a227'
+            };
+            if (parsed.min !== undefined) {
+                normalizedEvent.yearMin = parsed.min;
+                normalizedEvent.yearMax = parsed.max;
+            }
+            if (parsed.month) {
+                normalizedEvent.month = parsed.month;
+                if (parsed.day) normalizedEvent.day = parsed.day;
+                normalizedEvent.position = getDatePosition(parsed);
+            }
+            
+            // Also parse endYear if present (with circa detection)
+            if (event.endYear !== undefined) {
+                const endParsed = parseEventDate(event.endYear, calendar);
+                normalizedEvent.endYear = endParsed.year;
+                normalizedEvent.endCirca = endParsed.circa;
+                if (endParsed.min !== undefined) {
+                    normalizedEvent.endYearMin = endParsed.min;
+                    normalizedEvent.endYearMax = endParsed.max;
+                }
+                if (endParsed.month) {
+                    normalizedEvent.endMonth = endParsed.month;
+                    if (endParsed.day) normalizedEvent.endDay = endParsed.day;
+                    normalizedEvent.endPosition = getDatePosition(endParsed);
+                }
+            }
+            
+            return normalizedEvent;
+        });
+    }
+    
+    return data;
+}
+
+/**
+ * Load a dataset from a JSON file
+ * @param {string} url - Path to the JSON file
+ * @returns {Promise<object>} The dataset object
+ */
+async function loadDataset(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        
+        // Validate, leaving out anything that would render broken
+        const { events, issues } = validateDataset(data, url);
+        reportDatasetIssues(issues);
+        if (!events) {
+            throw new Error('Invalid dataset (see diagnostics)');
+        }
+        data.events = events;
+        
+        // Normalize events (ensure all years are in HE)
+        normalizeDataset(data);
+        
+        console.log(`Loaded dataset "${data.id}" with ${data.events?.length || 0} events`);
+        return data;
+    } catch (error) {
+        console.error(`Failed to load dataset from ${url}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load the dataset manifest (the list of datasets offered in the sidebar)
+ * @param {string} url - Path to the manifest JSON file
+ * @returns {Promise<object[]|null>} Manifest entries { id, url, name, description, color, enabled }
+ */
+async function loadManifest(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        return (data.datasets || []).filter(entry => entry.id && entry.url);
+    } catch (error) {
+        console.error(`Failed to load dataset manifest from ${url}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load a manifest dataset, reusing it if it was loaded before
+ * @param {object} entry - Manifest entry
+ * @returns {Promise<object|null>} The dataset object
+ */
+async function loadManifestDataset(entry) {
+    if (!STATE.datasetCache[entry.id]) {
+        const dataset = await loadDataset(entry.url);
+        if (!dataset) return null;
+        STATE.datasetCache[entry.id] = dataset;
+    }
+    return STATE.datasetCache[entry.id];
+}
+
+/**
+ * Load multiple datasets and merge them
+ * @param {string[]} urls - Array of paths to JSON files
+ */
+async function loadAllDatasets(urls) {
+    const results = await Promise.all(urls.map(url => loadDataset(url)));
+    
+    STATE.datasets = results.filter(d => d !== null);
+    mergeDatasets();
+}
+
+/**
+ * Make the given manifest datasets the active set (loading any not loaded yet).
+ * Datasets added outside the manifest (timelineAPI.loadDataset) stay active.
+ * Does not render.
+ * @param {string[]} ids - Manifest dataset ids to enable
+ */
+async function applyDatasetSelection(ids) {
+    const entries = STATE.manifest.filter(entry => ids.includes(entry.id));
+    const loaded = await Promise.all(entries.map(entry => loadManifestDataset(entry)));
+    const unlisted = STATE.datasets.filter(dataset =>
+        !STATE.manifest.some(entry => entry.id === dataset.id));
+    
+    STATE.datasets = [...loaded.filter(d => d !== null), ...unlisted];
+    mergeDatasets();
+    updateDatasetUI();
+}
+
+/**
+ * Rebuild categories, regions, events, sides and filters from STATE.datasets.
+ * Categories that were active stay active, new categories start active and
+ * categories no longer provided by any dataset are dropped.
+ */
+function mergeDatasets() {
+    const previousCategories = new Set(Object.keys(STATE.categories));
+    
+    // Merge categories from all datasets
+    STATE.categories = {};
+    STATE.datasets.forEach(dataset => {
+        if (dataset.categories) {
+            STATE.categories = { ...STATE.categories, ...dataset.categories };
+        }
+    });
+    
+    // Merge region definitions (swimlanes)
+    STATE.regions = {};
+    STATE.datasets.forEach(dataset => {
+        if (dataset.regions) {
+            STATE.regions = { ...STATE.regions, ...dataset.regions };
+        }
+    });
+    
+    // Merge all events
+    STATE.allEvents = STATE.datasets
+        .flatMap(dataset => dataset.events || [])
+        .sort((a, b) => getEventPosition(a) - getEventPosition(b));
+    
+    // Extend the track above 0 HE if any event predates the Holocene
+    STATE.deepTimeStart = computeDeepTimeStart(STATE.allEvents);
+    
+    // Add dynamic "Today" event
+    // (Removed - just using a marker instead)
+    
+    // Separate point events and range events
+    STATE.pointEvents = STATE.allEvents.filter(e => !e.endYear);
+    STATE.rangeEvents = STATE.allEvents.filter(e => e.endYear);
+    
+    // Separate age events (for overlay rendering)
+    STATE.ageEvents = STATE.allEvents.filter(e => e.isAge);
+    
+    // Pre-assign sides to all events based on their START year position
+    // Since all events (including ranges) now display at their start year,
+    // we sort by start year for proper left/right alternation
+    const allSorted = [...STATE.allEvents].sort((a, b) => getEventPosition(a) - getEventPosition(b));
+    
+    allSorted.forEach((event, index) => {
+        event.side = index % 2 === 0 ? 'left' : 'right';
+    });
+    
+    reportMissingRelations();
+    
+    // Keep filters for known categories - new categories start active
+    STATE.activeFilters = new Set(Object.keys(STATE.categories).filter(key =>
+        STATE.activeFilters.has(key) || !previousCategories.has(key)));
+    
+    // Build filter UI and the lane picker
+    buildFilterUI();
+    syncFilterUI();
+    buildLaneUI();
+    
+    console.log(`Loaded ${STATE.datasets.length} datasets with ${STATE.pointEvents.length} point events and ${STATE.rangeEvents.length} range events`);
+    console.log(`Categories: ${Object.keys(STATE.categories).join(', ')}`);
+}
+
+// ============ FILTER FUNCTIONS ============
+
+// Default color for uncategorized events (gold) - defined here so buildFilterUI can use it
+const DEFAULT_COLOR = { bg: 'rgba(201, 162, 39, 0.3)', border: '#8a7019', text: '#c9a227' };
+
+/**
+ * Convert a #rrggbb color to rgba()
+ * @param {string} hex - Color like "#c9a227"
+ * @param {number} alpha - Opacity 0-1
+ * @returns {string}
+ */
+function hexToRgba(hex, alpha) {
+    const value = hex.replace('#', '');
+    const r = parseInt(value.substr(0, 2), 16);
+    const g = parseInt(value.substr(2, 2), 16);
+    const b = parseInt(value.substr(4, 2), 16);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Build the filter UI checkboxes
+ */
+function buildFilterUI() {
+    const filterOptions = document.getElementById('filterOptions');
+    if (!filterOptions) return;
+    
+    filterOptions.innerHTML = '';
+    
+    Object.entries(STATE.categories).forEach(([key, category]) => {
+        const color = category.color || DEFAULT_COLOR;
+        // Create a dimmer version of the color for the toggle background
+        const dimColor = hexToRgba(color.border, 0.4);
+        
+        const label = document.createElement('label');
+        label.className = 'filter-option active'; // Start active
+        label.style.setProperty('--filter-color', color.border);
+        label.style.setProperty('--filter-color-dim', dimColor);
+        label.innerHTML = `
+            <input type="checkbox" value="${key}" checked data-category="${key}" role="switch">
+            <span class="filter-option-text">
+                <span class="filter-option-icon" aria-hidden="true">${category.icon || ''}</span>
+                <span class="filter-option-label">${escapeHTML(category.name)}</span>
+            </span>
+            <span class="filter-toggle" aria-hidden="true"></span>
+        `;
+        
+        const checkbox = label.querySelector('input');
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                STATE.activeFilters.add(key);
+                label.classList.add('active');
+            } else {
+                STATE.activeFilters.delete(key);
+                label.classList.remove('active');
+            }
+            updateFilterCount();
+            renderTimeline();
+        });
+        
+        filterOptions.appendChild(label);
+    });
+    
+    updateFilterCount();
+}
+
+/**
+ * Update the filter count display
+ */
+function updateFilterCount() {
+    const filterCount = document.getElementById('filterCount');
+    if (!filterCount) return;
+    
+    const total = Object.keys(STATE.categories).length;
+    const active = STATE.activeFilters.size;
+    
+    if (active === total) {
+        filterCount.textContent = '';
+    } else {
+        filterCount.textContent = `${active}/${total}`;
+    }
+}
+
+/**
+ * Setup filter controls (toggle, all/none buttons)
+ */
+function setupFilterControls() {
+    const filterToggle = document.getElementById('filterToggle');
+    const filterPanel = document.getElementById('filterPanel');
+    const filterAll = document.getElementById('filterAll');
+    const filterNone = document.getElementById('filterNone');
+    
+    if (filterToggle && filterPanel) {
+        filterToggle.addEventListener('click', () => {
+            filterPanel.classList.toggle('open');
+        });
+    }
+    
+    if (filterAll) {
+        filterAll.addEventListener('click', () => {
+            STATE.activeFilters = new Set(Object.keys(STATE.categories));
+            document.querySelectorAll('#filterOptions .filter-option').forEach(opt => {
+                opt.classList.add('active');
+                opt.querySelector('input[type="checkbox"]').checked = true;
+            });
+            updateFilterCount();
+            renderTimeline();
+        });
+    }
+    
+    if (filterNone) {
+        filterNone.addEventListener('click', () => {
+            STATE.activeFilters.clear();
+            document.querySelectorAll('#filterOptions .filter-option').forEach(opt => {
+                opt.classList.remove('active');
+                opt.querySelector('input[type="checkbox"]').checked = false;
+            });
+            updateFilterCount();
+            renderTimeline();
+        });
+    }
+}
+
+/**
+ * Setup the "Show Ranges" toggle
+ */
+function setupRangeToggle() {
+    const toggle = document.getElementById('showRangesToggle');
+    if (!toggle) return;
+    
+    // Initialize based on checkbox state
+    if (toggle.checked) {
+        document.body.classList.add('show-ranges');
+    }
+    
+    toggle.addEventListener('change', () => {
+        if (toggle.checked) {
+            document.body.classList.add('show-ranges');
+        } else {
+            document.body.classList.remove('show-ranges');
+        }
+        // No re-render needed - CSS handles bar visibility via .show-ranges class
+        scheduleURLUpdate();
+    });
+}
+
+/**
+ * Setup the "Show Ages" toggle
+ */
+function setupAgeToggle() {
+    const toggle = document.getElementById('showAgesToggle');
+    if (!toggle) return;
+    
+    // Initialize based on checkbox state
+    STATE.showAges = toggle.checked;
+    if (toggle.checked) {
+        document.body.classList.add('show-ages');
+    }
+    
+    toggle.addEventListener('change', () => {
+        STATE.showAges = toggle.checked;
+        if (toggle.checked) {
+            document.body.classList.add('show-ages');
+        } else {
+            document.body.classList.remove('show-ages');
+        }
+        // No re-render needed - CSS handles bar visibility via .show-ages class
+        scheduleURLUpdate();
+    });
+}
+
+/**
+ * Setup the "Show Labels" toggle (labels hidden when unchecked)
+ */
+function setupShowLabelsToggle() {
+    const toggle = document.getElementById('showLabelsToggle');
+    if (!toggle) return;
+    
+    // Initialize based on checkbox state (if unchecked, hide labels)
+    if (!toggle.checked) {
+        document.body.classList.add('hide-labels');
+    }
+    
+    toggle.addEventListener('change', () => {
+        if (toggle.checked) {
+            document.body.classList.remove('hide-labels');
+        } else {
+            document.body.classList.add('hide-labels');
+        }
+        scheduleURLUpdate();
+    });
+}
+
+/**
+ * Setup the "Spread Ranges" toggle
+ */
+function setupSpreadRangesToggle() {
+    const toggle = document.getElementById('spreadRangesToggle');
+    if (!toggle) return;
+    
+    // Initialize based on checkbox state
+    STATE.spreadRanges = toggle.checked;
+    
+    toggle.addEventListener('change', () => {
+        STATE.spreadRanges = toggle.checked;
+        renderTimeline();
+    });
+}
+
+/**
+ * Setup sidebar and top bar controls
+ */
+// function setupMobileControls() {
+//     const menuBtn = document.getElementById('menuBtn');
+//     const sidebar = document.getElementById('sidebar');
+//     const sidebarOverlay = document.getElementById('sidebarOverlay');
+    
+//     // Check if we're on desktop (>800px)
+//     const isDesktop = () => window.innerWidth > 800;
+    
+//     // Sidebar open/close
+//     const openSidebar = () => {
+//         sidebar?.classList.add('open');
+//         if (!isDesktop()) {
+//             // Mobile: show overlay
+//             sidebarOverlay?.classList.add('active');
+//         }
+//     };
+    
+//     const closeSidebar = () => {
+//         sidebar?.classList.remove('open');
+//         sidebarOverlay?.classList.remove('active');
+//     };
+    
+//     // Toggle sidebar
+//     const toggleSidebar = () => {
+//         if (sidebar?.classList.contains('open')) {
+//             closeSidebar();
+//         } else {
+//             openSidebar();
+//         }
+//     };
+    
+//     // Menu button toggles sidebar
+//     menuBtn?.addEventListener('click', toggleSidebar);
+    
+//     // Clicking overlay closes sidebar (mobile)
+//     sidebarOverlay?.addEventListener('click', closeSidebar);
+    
+//     // On desktop, sidebar starts closed (user can open if needed)
+//     // On mobile, sidebar also starts closed
+//     if (window.innerWidth > 1600) {
+//         openSidebar();
+//     }
+
+
+//     // Handle resize: adjust overlay behavior when crossing 800px threshold
+//     let wasDesktop = isDesktop();
+//     window.addEventListener('resize', () => {
+//         const nowDesktop = isDesktop();
+        
+//         if (sidebar?.classList.contains('open')) {
+//             if (nowDesktop && !wasDesktop) {
+//                 // Crossed from mobile to desktop while open
+//                 sidebarOverlay?.classList.remove('active');
+//             } else if (!nowDesktop && wasDesktop) {
+//                 // Crossed from desktop to mobile while open
+//                 sidebarOverlay?.classList.add('active');
+//             }
+//         }
+        
+//         wasDesktop = nowDesktop;
+//     });
+// }
+
+function setupSidebarControls() {
+    const menuBtn = document.getElementById('menuBtn');
+    const sidebar = document.getElementById('sidebar');
+    autoOpenWidth = 1600;
+    
+    const syncMenuButton = () => menuBtn?.setAttribute('aria-expanded', String(!!sidebar?.classList.contains('open')));
+    
+    menuBtn?.addEventListener('click', () => {
+        sidebar?.classList.toggle('open');
+        syncMenuButton();
+        savePreferences();
+    });
+    
+    // Click outside closes sidebar
+    document.addEventListener('click', (e) => {
+        if (!sidebar?.classList.contains('open')) return;
+        if (sidebar.contains(e.target)) return;
+        if (menuBtn.contains(e.target)) return;
+        if (window.innerWidth > autoOpenWidth) return;
+        
+        sidebar.classList.remove('open');
+        syncMenuButton();
+        savePreferences();
+    });
+    
+    // Restore the saved open state, otherwise start open on wide screens
+    const savedOpen = readPreferences()?.sidebarOpen;
+    if (typeof savedOpen === 'boolean' ? savedOpen : window.innerWidth > autoOpenWidth) {
+        sidebar?.classList.add('open');
+    }
+    syncMenuButton();
+}
+
+/**
+ * Populate filter options (called after categories are loaded)
+ */
+function populateMobileFilters() {
+    // No longer needed - we only have one set of filter controls now
+    // This function is kept for compatibility but does nothing
+}
+
+/**
+ * Check if an event passes the current filters
+ * @param {object} event - The event to check
+ * @returns {boolean} True if event should be shown
+ */
+function eventPassesFilter(event) {
+    // If no categories defined on event, show it (uncategorized)
+    if (!event.categories || event.categories.length === 0) return true;
+    
+    // If no filters active, hide all categorized events
+    if (STATE.activeFilters.size === 0) return false;
+    
+    // Show if any of the event's categories are active
+    return event.categories.some(cat => STATE.activeFilters.has(cat));
+}
+
+/**
+ * Get filtered events
+ */
+function getFilteredEvents() {
+    return {
+        pointEvents: STATE.pointEvents.filter(eventPassesFilter),
+        rangeEvents: STATE.rangeEvents.filter(eventPassesFilter)
+    };
+}
+
+// ============ DATASET CONTROLS ============
+
+/**
+ * Build the dataset toggles from the manifest
+ */
+function buildDatasetUI() {
+    const datasetSection = document.getElementById('datasetSection');
+    const datasetOptions = document.getElementById('datasetOptions');
+    if (!datasetOptions) return;
+    
+    datasetOptions.innerHTML = '';
+    if (datasetSection) datasetSection.hidden = STATE.manifest.length === 0;
+    
+    STATE.manifest.forEach(entry => {
+        const color = entry.color || DEFAULT_COLOR.text;
+        
+        const label = document.createElement('label');
+        label.className = 'filter-option dataset-option';
+        label.style.setProperty('--filter-color', color);
+        label.style.setProperty('--filter-color-dim', hexToRgba(color, 0.4));
+        label.title = entry.description || '';
+        label.innerHTML = `
+            <input type="checkbox" data-dataset="${escapeHTML(entry.id)}" role="switch">
+            <span class="filter-option-text">
+                <span class="dataset-option-info">
+                    <span class="filter-option-label">${escapeHTML(entry.name || entry.id)}</span>
+                    <span class="dataset-option-desc">${escapeHTML(entry.description || '')}</span>
+                </span>
+            </span>
+            <span class="filter-toggle" aria-hidden="true"></span>
+        `;
+        
+        const checkbox = label.querySelector('input');
+        checkbox.addEventListener('change', () => {
+            setDatasetEnabled(entry.id, checkbox.checked);
+        });
+        
+        datasetOptions.appendChild(label);
+    });
+    
+    updateDatasetUI();
+}
+
+/**
+ * Sync the dataset toggles with STATE.datasets
+ */
+function updateDatasetUI() {
+    const enabledIds = new Set(STATE.datasets.map(dataset => dataset.id));
+    document.querySelectorAll('#datasetOptions .dataset-option').forEach(option => {
+        const checkbox = option.querySelector('input[type="checkbox"]');
+        const enabled = enabledIds.has(checkbox.dataset.dataset);
+        checkbox.checked = enabled;
+        option.classList.toggle('active', enabled);
+    });
+}
+
+/**
+ * Enable or disable a manifest dataset, loading it on first enable, and
+ * re-render keeping the current year at the reference line
+ * @param {string} id - Manifest dataset id
+ * @param {boolean} enabled
+ * @returns {Promise<boolean>} False if the dataset is unknown or failed to load
+ */
+async function setDatasetEnabled(id, enabled) {
+    const entry = STATE.manifest.find(e => e.id === id);
+    if (!entry) return false;
+    
+    const option = [...document.querySelectorAll('#datasetOptions .dataset-option')]
+        .find(el => el.querySelector('input').dataset.dataset === id);
+    option?.classList.add('loading');
+    
+    const ids = STATE.datasets.map(dataset => dataset.id).filter(key => key !== id);
+    if (enabled) ids.push(id);
+    
+    const currentYear = getYearAtReference();
+    await applyDatasetSelection(ids);
+    option?.classList.remove('loading');
+    
+    const loaded = !enabled || STATE.datasets.some(dataset => dataset.id === id);
+    option?.classList.toggle('failed', !loaded);
+    
+    renderTimeline();
+    scrollToYear(currentYear, { center: true, instant: true });
+    updateVirtualWindow();
+    updateYearDisplay();
+    return loaded;
+}
+
+// ============ CSV IMPORT ============
+
+/*
+ * Spreadsheets saved as CSV or TSV can be imported from the sidebar or by dropping
+ * the file onto the page. The import panel maps columns to event fields, lists
+ * rows that would be left out, and adds the rest as a new dataset. Rows go
+ * through validateDataset() and normalizeDataset() like any JSON dataset.
+ */
+const IMPORT_FIELDS = [
+    { key: 'year', label: 'Year', required: true, aliases: ['year', 'start', 'start year', 'date', 'from'] },
+    { key: 'endYear', label: 'End year', aliases: ['endyear', 'end year', 'end', 'to', 'until'] },
+    { key: 'title', label: 'Title', required: true, aliases: ['title', 'name', 'event'] },
+    { key: 'desc', label: 'Description', aliases: ['desc', 'description', 'summary', 'notes'] },
+    { key: 'source', label: 'Source', aliases: ['source', 'url', 'link'] },
+    { key: 'categories', label: 'Categories', aliases: ['categories', 'category', 'tags'] },
+    { key: 'type', label: 'Type', aliases: ['type', 'kind'] },
+];
+
+// Dataset colors for imports, in turn
+const IMPORT_COLORS = ['#4fb3a9', '#d98c5f', '#7fb35a', '#c76b98', '#5f8fd9'];
+
+// File being mapped in the import panel: { fileName, headers, rows }
+let pendingImport = null;
+
+/**
+ * Split CSV/TSV text into rows of cells (quoted cells may contain delimiters,
+ * newlines and "" for a quote)
+ * @param {string} text - File contents
+ * @param {string} delimiter - ',', ';' or '\t'
+ * @returns {string[][]} Rows, including blank ones
+ */
+function parseDelimited(text, delimiter) {
+    const source = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Guess a file's delimiter from its extension or header line
+ * @param {string} text - File contents
+ * @param {string} fileName
+ * @returns {string} ',', ';' or '\t'
+ */
+function detectDelimiter(text, fileName) {
+    if (/\.tsv$/i.test(fileName)) return '\t';
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, headerLine.split(delimiter).length - 1]);
+    const [best] = counts.sort((a, b) => b[1] - a[1]);
+    return best[1] > 0 ? best[0] : ',';
+}
+
+/**
+ * Match header names to event fields (IMPORT_FIELDS aliases)
+ * @param {string[]} headers
+ * @returns {object} { field key: column index, or -1 }
+ */
+function guessColumnMapping(headers) {
+    const normalize = (text) => text.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+    const names = headers.map(normalize);
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        mapping[field.key] = names.findIndex(name => field.aliases.includes(name));
+    });
+    return mapping;
+}
+
+/**
+ * Build a dataset from the pending import's rows
+ * @param {object} mapping - { field key: column index, or -1 }
+ * @param {string} separator - Separator between categories in a cell
+ * @returns {object} { data, rowNumbers } - rowNumbers[i] is the file row of data.events[i]
+ */
+function buildImportDataset(mapping, separator) {
+    const { fileName, rows } = pendingImport;
+    
+    const baseId = `import-${slugify(fileName.replace(/\.[^.]+$/, '')) || 'events'}`;
+    let id = baseId;
+    for (let n = 2; STATE.datasets.some(dataset => dataset.id === id); n++) {
+        id = `${baseId}-${n}`;
+    }
+    const importCount = STATE.datasets.filter(dataset => dataset.id.startsWith('import-')).length;
+    const color = IMPORT_COLORS[importCount % IMPORT_COLORS.length];
+    const data = { id, name: fileName, color, categories: {}, events: [] };
+    const rowNumbers = [];
+    
+    // Categories are matched to known ones by key or name; others are added to the dataset
+    const findCategoryKey = (label) => {
+        const key = slugify(label);
+        if (STATE.categories[key] || data.categories[key]) return key;
+        const known = Object.entries(STATE.categories)
+            .find(([, category]) => category.name.toLowerCase() === label.toLowerCase());
+        if (known) return known[0];
+        data.categories[key] = {
+            name: label,
+            color: { bg: hexToRgba(color, 0.3), border: color, text: color }
+        };
+        return key;
+    };
+    
+    rows.forEach((cells, index) => {
+        if (cells.every(cell => cell.trim() === '')) return;
+        const cellFor = (key) => mapping[key] >= 0 ? (cells[mapping[key]] || '').trim() : '';
+        
+        // Empty cells are left out, so a missing title or year is reported as such
+        const event = {};
+        ['title', 'year', 'endYear', 'desc', 'source'].forEach(key => {
+            if (cellFor(key)) event[key] = cellFor(key);
+        });
+        if (cellFor('type')) event.type = cellFor('type').toLowerCase();
+        const categories = cellFor('categories').split(separator || /[;,]/)
+            .map(label => label.trim())
+            .filter(Boolean)
+            .map(findCategoryKey);
+        if (categories.length) event.categories = [...new Set(categories)];
+        
+        data.events.push(event);
+        rowNumbers.push(index + 2); // Header is row 1
+    });
+    
+    return { data, rowNumbers };
+}
+
+/**
+ * Read the column mapping chosen in the import panel
+ * @returns {object} { field key: column index, or -1 }
+ */
+function getImportMapping() {
+    const mapping = {};
+    document.querySelectorAll('#importMapping select').forEach(select => {
+        mapping[select.dataset.field] = parseInt(select.value, 10);
+    });
+    return mapping;
+}
+
+/**
+ * Validate the pending import with the current mapping and list rows with errors
+ */
+function updateImportPreview() {
+    const summary = document.getElementById('importSummary');
+    const list = document.getElementById('importErrors');
+    const confirmBtn = document.getElementById('importConfirm');
+    if (!pendingImport || !summary || !list) return;
+    
+    const mapping = getImportMapping();
+    const missing = IMPORT_FIELDS.filter(field => field.required && mapping[field.key] < 0);
+    if (missing.length > 0) {
+        summary.textContent = `Choose a column for ${missing.map(field => field.label).join(' and ')}`;
+        list.innerHTML = '';
+        if (confirmBtn) confirmBtn.disabled = true;
+        return;
+    }
+    
+    const separator = document.getElementById('importSeparator')?.value.trim();
+    const { data, rowNumbers } = buildImportDataset(mapping, separator);
+    const { events, issues } = validateDataset(data, data.name);
+    const errors = issues.filter(issue => issue.severity === 'error' && issue.index !== null);
+    const skipped = data.events.length - events.length;
+    
+    summary.textContent = `${events.length} of ${data.events.length} rows ready to import` +
+        (skipped ? ` · ${skipped} ${skipped === 1 ? 'row has' : 'rows have'} errors and will be left out` : '');
+    list.innerHTML = errors.map(issue => `
+        <li class="diagnostics-item error">
+            <span class="diagnostics-where">Row ${rowNumbers[issue.index]} / ${escapeHTML(issue.event)}</span>
+            <span class="diagnostics-message">${escapeHTML(issue.message)}</span>
+        </li>
+    `).join('');
+    if (confirmBtn) confirmBtn.disabled = events.length === 0;
+}
+
+/**
+ * Open the import panel for a CSV/TSV file
+ * @param {File} file
+ */
+async function openImportFile(file) {
+    const status = document.getElementById('importStatus');
+    let text;
+    try {
+        text = await file.text();
+    } catch (error) {
+        if (status) status.textContent = `"${file.name}" could not be read: ${error.message}`;
+        return;
+    }
+    const rows = parseDelimited(text, detectDelimiter(text, file.name));
+    const headers = (rows.shift() || []).map(header => header.trim());
+    if (headers.length === 0 || rows.length === 0) {
+        if (status) status.textContent = `"${file.name}" has no rows to import`;
+        return;
+    }
+    pendingImport = { fileName: file.name, headers, rows };
+    
+    const title = document.getElementById('importTitle');
+    if (title) title.textContent = `Import ${file.name}`;
+    
+    // One select per field, preselected from the header names
+    const mapping = guessColumnMapping(headers);
+    const columnOptions = headers
+        .map((header, index) => `<option value="${index}">${escapeHTML(header || `Column ${index + 1}`)}</option>`)
+        .join('');
+    const mappingEl = document.getElementById('importMapping');
+    mappingEl.innerHTML = IMPORT_FIELDS.map(field => `
+        <label class="import-field">
+            <span class="import-field-label">${field.label}${field.required ? ' *' : ''}</span>
+            <select class="scale-mode-select" data-field="${field.key}">
+                <option value="-1">—</option>
+                ${columnOptions}
+            </select>
+        </label>
+    `).join('');
+    mappingEl.querySelectorAll('select').forEach(select => {
+        select.value = mapping[select.dataset.field];
+    });
+    
+    // Categories are usually split by ";" - or by "," when the file isn't comma-separated
+    const categoryColumn = mapping.categories;
+    const usesSemicolons = categoryColumn >= 0 && rows.some(cells => (cells[categoryColumn] || '').includes(';'));
+    document.getElementById('importSeparator').value = usesSemicolons ? ';' : ',';
+    
+    updateImportPreview();
+    document.getElementById('importPanel').hidden = false;
+}
+
+/**
+ * Close the import panel without importing
+ */
+function closeImportPanel() {
+    pendingImport = null;
+    document.getElementById('importPanel').hidden = true;
+}
+
+/**
+ * Add the pending import's valid rows as a new dataset, keeping the current year
+ * at the reference line
+ * @returns {object|null} The new dataset
+ */
+function confirmImport() {
+    if (!pendingImport) return null;
+    
+    const mapping = getImportMapping();
+    if (IMPORT_FIELDS.some(field => field.required && mapping[field.key] < 0)) return null;
+    
+    const separator = document.getElementById('importSeparator')?.value.trim();
+    const { data } = buildImportDataset(mapping, separator);
+    const { events } = validateDataset(data, data.name);
+    if (events.length === 0) return null;
+    data.events = events;
+    normalizeDataset(data);
+    
+    const currentYear = getYearAtReference();
+    STATE.datasets.push(data);
+    mergeDatasets();
+    renderTimeline();
+    scrollToYear(currentYear, { center: true, instant: true });
+    updateVirtualWindow();
+    updateYearDisplay();
+    
+    const status = document.getElementById('importStatus');
+    if (status) {
+        status.textContent = `Imported ${events.length} ${events.length === 1 ? 'event' : 'events'} from "${data.name}"`;
+    }
+    closeImportPanel();
+    return data;
+}
+
+/**
+ * Setup the import file picker, drag-and-drop and import panel
+ */
+function setupCSVImport() {
+    const fileInput = document.getElementById('importFileInput');
+    const importBtn = document.getElementById('importButton');
+    const panel = document.getElementById('importPanel');
+    if (!fileInput || !panel) return;
+    
+    importBtn?.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) openImportFile(fileInput.files[0]);
+        fileInput.value = ''; // Allow picking the same file again
+    });
+    
+    // Drop a file anywhere on the page
+    const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        document.body.classList.add('import-dragover');
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) document.body.classList.remove('import-dragover');
+    });
+    document.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        document.body.classList.remove('import-dragover');
+        if (e.dataTransfer.files[0]) openImportFile(e.dataTransfer.files[0]);
+    });
+    
+    document.getElementById('importMapping')?.addEventListener('change', updateImportPreview);
+    document.getElementById('importSeparator')?.addEventListener('input', updateImportPreview);
+    document.getElementById('importCancel')?.addEventListener('click', closeImportPanel);
+    document.getElementById('importDismiss')?.addEventListener('click', closeImportPanel);
+    document.getElementById('importConfirm')?.addEventListener('click', confirmImport);
+}
+
+// ============ EXPORT ============
+
+/*
+ * The sidebar export menu writes the events that pass the category filters
+ * (optionally limited to a From/To year window) as:
+ * - JSON: dataset format (see DATASET_SCHEMA), loadable with timelineAPI.loadDataset
+ * - CSV:  one row per event with dataset-format, HE, CE/BCE and ISO year columns
+ *         (the year/endYear columns import back with CSV IMPORT)
+ * - ICS:  yearly anniversaries of events dated to the day
+ * Dates are written in HE, so events recorded in the Julian calendar come out
+ * already converted.
+ */
+
+const EXPORT_CSV_COLUMNS = [
+    'title', 'year', 'endYear', 'year_he', 'year_ce', 'year_iso', 'circa', 'year_min_he', 'year_max_he',
+    'end_year_he', 'end_year_ce', 'end_year_iso', 'end_circa', 'end_year_min_he', 'end_year_max_he',
+    'type', 'categories', 'source', 'desc', 'dataset'
+];
+
+/**
+ * Write a normalized date back as a dataset date string that parses to the same
+ * values ("c. 6701 HE", "15 Oct 11582 HE", "6701 ± 50 HE", "between 9501 HE and 10100 HE")
+ * @param {number} year - Year in HE
+ * @param {object} [details] - { circa, month, day, min, max }
+ * @returns {string}
+ */
+function formatDatasetDate(year, { circa, month, day, min, max } = {}) {
+    const formatHE = (y) => y < 0 ? `${-y} BHE` : `${y} HE`;
+    
+    if (min !== undefined && min !== null) {
+        if (year - min === max - year) {
+            return `${Math.abs(year)} ± ${year - min} ${year < 0 ? 'BHE' : 'HE'}`;
+        }
+        return `between ${formatHE(min)} and ${formatHE(max)}`;
+    }
+    
+    const monthDay = month ? `${day ? `${day} ` : ''}${MONTH_NAMES[month - 1].slice(0, 3)} ` : '';
+    return `${circa ? 'c. ' : ''}${monthDay}${formatHE(year)}`;
+}
+
+/**
+ * Format a year as CE/BCE ("1582 CE", "3300 BCE")
+ * @param {number} year - Year in HE
+ * @returns {string}
+ */
+function formatCEYear(year) {
+    const { year: ceYear, era } = fromHoloceneYear(year);
+    return `${ceYear} ${era}`;
+}
+
+/**
+ * Format a date as ISO 8601 with an astronomical year ("1582-10-15", "-3299")
+ * @param {number} year - Year in HE
+ * @param {number} [month]
+ * @param {number} [day]
+ * @returns {string}
+ */
+function formatISODate(year, month, day) {
+    const astronomical = year - 10000;
+    let iso = `${astronomical < 0 ? '-' : ''}${String(Math.abs(astronomical)).padStart(4, '0')}`;
+    if (month) iso += `-${String(month).padStart(2, '0')}`;
+    if (month && day) iso += `-${String(day).padStart(2, '0')}`;
+    return iso;
+}
+
+/**
+ * Parse a From/To input of the export menu
+ * @param {string} id - Input element id
+ * @returns {number|null} Year in HE, null when blank, NaN when unparseable
+ */
+function readExportBound(id) {
+    const value = document.getElementById(id)?.value.trim();
+    return value ? parseDateToHE(value) : null;
+}
+
+/**
+ * Get the events to export: those passing the filters, overlapping the From/To window
+ * @param {number|null} [from] - Earliest year in HE (null for no limit)
+ * @param {number|null} [to] - Latest year in HE (null for no limit)
+ * @returns {object[]} Events sorted by date
+ */
+function getExportEvents(from = null, to = null) {
+    const { pointEvents, rangeEvents } = getFilteredEvents();
+    return [...pointEvents, ...rangeEvents]
+        .filter(event => (from === null || (event.endYear ?? event.year) >= from) &&
+                         (to === null || event.year <= to))
+        .sort((a, b) => getEventPosition(a) - getEventPosition(b));
+}
+
+/**
+ * Convert events back to dataset-format events (dates as HE strings)
+ * @param {object[]} events - Normalized events
+ * @returns {object[]}
+ */
+function toDatasetEvents(events) {
+    return events.map(event => {
+        const exported = {
+            ...(event.id !== undefined && { id: event.id }),
+            title: event.title,
+            year: formatDatasetDate(event.year, {
+                circa: event.circa, month: event.month, day: event.day, min: event.yearMin, max: event.yearMax
+            }),
+        };
+        if (event.endYear !== undefined) {
+            exported.endYear = formatDatasetDate(event.endYear, {
+                circa: event.endCirca, month: event.endMonth, day: event.endDay,
+                min: event.endYearMin, max: event.endYearMax
+            });
+        }
+        ['desc', 'type', 'isAge', 'ageColor', 'source', 'categories', 'regions', 'location', 'related'].forEach(key => {
+            if (event[key] !== undefined) exported[key] = event[key];
+        });
+        return exported;
+    });
+}
+
+/**
+ * Pick the category or region definitions that events use
+ * @param {object} definitions - STATE.categories or STATE.regions
+ * @param {object[]} events
+ * @param {string} field - 'categories' or 'regions'
+ * @returns {object}
+ */
+function pickUsedDefinitions(definitions, events, field) {
+    const used = new Set(events.flatMap(event => event[field] || []));
+    return Object.fromEntries(Object.entries(definitions).filter(([key]) => used.has(key)));
+}
+
+/**
+ * Build a dataset JSON export
+ * @param {object[]} events
+ * @returns {string}
+ */
+function buildJSONExport(events) {
+    return JSON.stringify({
+        id: 'export',
+        name: 'Holocene Timeline export',
+        categories: pickUsedDefinitions(STATE.categories, events, 'categories'),
+        regions: pickUsedDefinitions(STATE.regions, events, 'regions'),
+        events: toDatasetEvents(events),
+    }, null, 2);
+}
+
+/**
+ * Build a flat CSV export (columns: EXPORT_CSV_COLUMNS)
+ * @param {object[]} events
+ * @returns {string}
+ */
+function buildCSVExport(events) {
+    const quote = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const datasetEvents = toDatasetEvents(events);
+    
+    const rows = events.map((event, index) => {
+        const isRange = event.endYear !== undefined;
+        const row = {
+            title: event.title,
+            year: datasetEvents[index].year,
+            endYear: datasetEvents[index].endYear,
+            year_he: event.year,
+            year_ce: formatCEYear(event.year),
+            year_iso: formatISODate(event.year, event.month, event.day),
+            circa: event.circa ? 'true' : 'false',
+            year_min_he: event.yearMin,
+            year_max_he: event.yearMax,
+            end_year_he: isRange ? event.endYear : '',
+            end_year_ce: isRange ? formatCEYear(event.endYear) : '',
+            end_year_iso: isRange ? formatISODate(event.endYear, event.endMonth, event.endDay) : '',
+            end_circa: isRange ? (event.endCirca ? 'true' : 'false') : '',
+            end_year_min_he: event.endYearMin,
+            end_year_max_he: event.endYearMax,
+            type: event.type,
+            categories: (event.categories || []).join('; '),
+            source: event.source,
+            desc: event.desc,
+            dataset: event.sourceDataset,
+        };
+        return EXPORT_CSV_COLUMNS.map(column => quote(row[column])).join(',');
+    });
+    
+    return [EXPORT_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeICSText(text) {
+    return String(text ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar content line to 75 octets of UTF-8 (continuations start
+ * with a space), breaking only between characters
+ */
+function foldICSLine(line) {
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    for (const char of line) {
+        const codePoint = char.codePointAt(0);
+        const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        // The leading space counts towards a continuation line's 75
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Build an iCalendar export of yearly anniversaries (events dated to the day)
+ * @param {object[]} events
+ * @returns {object} { text, count }
+ */
+function buildICSExport(events) {
+    const now = new Date();
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const dated = events.filter(event => event.month && event.day);
+    
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Holocene Timeline//Export//EN',
+        'CALSCALE:GREGORIAN',
+    ];
+    dated.forEach(event => {
+        // Start the recurrence on the original date when iCalendar can hold it (1 CE on),
+        // otherwise on this year's anniversary
+        const year = event.year >= 10001 ? event.year : now.getFullYear() + 10000;
+        const start = formatISODate(year, event.month, event.day).replace(/-/g, '');
+        const description = [formatYearDisplay(event), event.desc].filter(Boolean).join('\n\n');
+        
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${slugify(event.title)}-${formatISODate(event.year, event.month, event.day)}@holocene-timeline`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${start}`,
+            'RRULE:FREQ=YEARLY',
+            `SUMMARY:${escapeICSText(`${event.title} (${formatCEYear(event.year)})`)}`,
+            `DESCRIPTION:${escapeICSText(description)}`
+        );
+        if (event.categories?.length) {
+            const names = event.categories.map(key => STATE.categories[key]?.name || key);
+            lines.push(`CATEGORIES:${names.map(escapeICSText).join(',')}`);
+        }
+        // Web links only, without control characters that could start a new property
+        if (isWebURL(event.source)) lines.push(`URL:${event.source.trim().replace(/[\u0000-\u001f\u007f]/g, '')}`);
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    
+    return { text: lines.map(foldICSLine).join('\r\n') + '\r\n', count: dated.length };
+}
+
+/**
+ * Offer text (or a Blob) to the user as a file download
+ * @param {string} fileName
+ * @param {string|Blob} content
+ * @param {string} mimeType
+ */
+function downloadFile(fileName, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Export the filtered events in a format
+ * @param {string} format - 'json', 'csv' or 'ics'
+ * @returns {number} Number of events written (-1 if the year window is invalid)
+ */
+function exportEvents(format) {
+    const status = document.getElementById('exportStatus');
+    const from = readExportBound('exportFrom');
+    const to = readExportBound('exportTo');
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        if (status) status.textContent = 'Could not read the From/To years';
+        return -1;
+    }
+    
+    const events = getExportEvents(from, to);
+    let count = events.length;
+    let noun = count === 1 ? 'event' : 'events';
+    if (format === 'json') {
+        downloadFile('holocene-timeline.json', buildJSONExport(events), 'application/json');
+    } else if (format === 'csv') {
+        downloadFile('holocene-timeline.csv', buildCSVExport(events), 'text/csv');
+    } else if (format === 'ics') {
+        const ics = buildICSExport(events);
+        count = ics.count;
+        noun = `${count === 1 ? 'anniversary' : 'anniversaries'} (events dated to the day)`;
+        downloadFile('holocene-timeline.ics', ics.text, 'text/calendar');
+    }
+    
+    if (status) status.textContent = `Exported ${count} ${noun}`;
+    return count;
+}
+
+/**
+ * Setup the sidebar export menu
+ */
+function setupExportMenu() {
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => exportEvents(button.dataset.export));
+    });
+}
+
+// ============ POSTER EXPORT ============
+
+/*
+ * Posters are drawn from the event data into a standalone SVG (never from the
+ * live DOM): a linear scale (px/yr) over a From/To window, with the
+ * track's century/millennium markers, age bands, channelled range bars, and
+ * cards carrying the same text as TimelineEntry cards. PNGs are rasterized from
+ * that SVG. Long posters are cut into page tiles (ISO 216 proportions), which
+ * also keeps each PNG canvas within browser limits. Page breaks move up to a gap
+ * so no card, marker box or band label is split across two sheets (see
+ * paginatePoster).
+ */
+
+const POSTER_CONFIG = {
+    width: 1600,            // Poster width (px)
+    margin: 40,             // Outer margin (px)
+    cardWidth: 300,
+    connectorWidth: 60,     // Gap between a bar/dot and its card (plus channel offset)
+    cardGap: 8,             // Minimum vertical gap between cards on the same side
+    descLines: 4,           // Description lines per card before truncating
+    minMarkerSpacing: 60,   // Minimum px between labeled year markers
+    maxHeight: 500000,      // Longest poster allowed (px)
+    pageAspect: 1.414,      // Page tile height / width
+    maxCanvasHeight: 16000, // PNGs taller than this (in pixels) are tiled
+    pngResolution: 2,       // PNG pixels per poster px
+};
+
+// Palette matching the :root colors in styles.css
+const POSTER_COLORS = {
+    background: '#0a0a0b',
+    card: '#111113',
+    border: '#1a1a1f',
+    line: '#2a2a2f',
+    gold: '#c9a227',
+    goldDim: '#8a7019',
+    bone: '#e5e3de',
+    boneDim: '#d6d3c7',
+};
+
+const POSTER_FONTS = {
+    serif: "'Cormorant Garamond', Georgia, serif",
+    mono: "'JetBrains Mono', Menlo, monospace",
+};
+
+/**
+ * Read the poster year window, defaulting to the part of the track on screen
+ * @returns {object|null} { from, to } in HE, or null if a year can't be read
+ */
+function getPosterWindow() {
+    const fromValue = document.getElementById('posterFrom')?.value.trim();
+    const toValue = document.getElementById('posterTo')?.value.trim();
+    const trackTop = getScrollPosition() - getTrackOffset();
+    const from = fromValue ? parseDateToHE(fromValue) : pixelsToYear(Math.max(0, trackTop));
+    const to = toValue ? parseDateToHE(toValue) : pixelsToYear(Math.max(0, trackTop + getViewportLength()));
+    if (isNaN(from) || isNaN(to) || from === to) return null;
+    return { from: Math.min(from, to), to: Math.max(from, to) };
+}
+
+/**
+ * Pick a 1/2/5 x 10^n year interval for labeled markers at a scale
+ * @param {number} scale - px/yr
+ * @returns {number} Years between markers
+ */
+function pickMarkerInterval(scale) {
+    for (let power = 1; ; power *= 10) {
+        for (const step of [1, 2, 5]) {
+            if (step * power * scale >= POSTER_CONFIG.minMarkerSpacing) return step * power;
+        }
+    }
+}
+
+/**
+ * Wrap text into lines of at most maxChars, ending with "…" if cut short
+ * @param {string} text
+ * @param {number} maxChars
+ * @param {number} maxLines
+ * @returns {string[]}
+ */
+function wrapText(text, maxChars, maxLines) {
+    const lines = [];
+    let line = '';
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    for (let i = 0; i < words.length; i++) {
+        const candidate = line ? `${line} ${words[i]}` : words[i];
+        if (candidate.length <= maxChars || !line) {
+            line = candidate;
+            continue;
+        }
+        lines.push(line);
+        line = words[i];
+        if (lines.length === maxLines) {
+            lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1)}…`;
+            return lines;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Lay out a poster: positions of markers, bands, bars, dots and cards
+ * @param {object} options - { from, to, scale } (years in HE, px/yr)
+ * @returns {object} Layout for buildPosterSVG()
+ */
+function layoutPoster({ from, to, scale }) {
+    const { width, margin, cardWidth, connectorWidth, cardGap, descLines } = POSTER_CONFIG;
+    const center = width / 2;
+    
+    // Legend of the categories currently shown, four to a row
+    const legend = Object.entries(STATE.categories)
+        .filter(([key]) => STATE.activeFilters.has(key))
+        .map(([key, category]) => ({
+            key,
+            label: `${category.icon ? `${category.icon} ` : ''}${category.name}`,
+            color: (category.color || DEFAULT_COLOR).border
+        }));
+    const legendTop = margin + 60;
+    const top = legendTop + Math.ceil(legend.length / 4) * 24 + 40;
+    const yFor = (year) => top + (year - from) * scale;
+    const bottom = yFor(to);
+    
+    // Year markers
+    const interval = pickMarkerInterval(scale);
+    const markers = [];
+    for (let year = Math.ceil(from / interval) * interval; year <= to; year += interval) {
+        markers.push({ y: yFor(year), label: formatMarkerYear(year), major: year % (interval * 10) === 0 });
+    }
+    const currentYear = getCurrentHoloceneYear();
+    if (currentYear >= from && currentYear <= to) {
+        markers.push({ y: yFor(currentYear), label: `${currentYear.toLocaleString()} HE`, major: true });
+    }
+    
+    // Ranges take the first free channel on their side, as on the live track
+    const occupancy = { left: [], right: [] };
+    const assignChannel = (side, start, end) => {
+        const channels = occupancy[side];
+        for (let i = 1; i <= CHANNEL_CONFIG.maxChannels; i++) {
+            if (!channels[i]) channels[i] = [];
+            if (!channels[i].some(r => !(end < r.start || start > r.end))) {
+                channels[i].push({ start, end });
+                return i;
+            }
+        }
+        return CHANNEL_CONFIG.maxChannels;
+    };
+    
+    const events = getExportEvents(from, to);
+    const bands = [];
+    const bars = [];
+    const dots = [];
+    const cards = [];
+    const nextCardTop = { left: -Infinity, right: -Infinity };
+    
+    events.forEach((event, index) => {
+        const side = event.side || (index % 2 === 0 ? 'left' : 'right');
+        const color = getEventColor(event);
+        const isRange = event.endYear !== undefined && event.endYear !== null;
+        const startY = yFor(getEventPosition(event));
+        const endY = isRange ? yFor(getEventEndPosition(event)) : startY;
+        const anchorY = Math.max(top, Math.min(bottom, startY));
+        
+        if (event.isAge && isRange) {
+            bands.push({
+                y: Math.max(top, startY),
+                height: Math.min(bottom, endY) - Math.max(top, startY),
+                color: event.ageColor || color.border,
+                label: event.title
+            });
+        }
+        
+        // Bars (and point uncertainty) clipped to the window; uncertain ends fade out
+        let barX = center;
+        if (isRange && event.endYear - event.year >= 1) {
+            const channel = assignChannel(side, event.year, event.endYear);
+            const offset = Math.min(channel * CHANNEL_CONFIG.channelWidth,
+                CHANNEL_CONFIG.maxChannels * CHANNEL_CONFIG.channelWidth);
+            barX = side === 'left' ? center - offset : center + offset;
+            const outerTop = event.yearMin !== undefined ? yFor(event.yearMin) : startY;
+            const outerBottom = event.endYearMax !== undefined ? yFor(event.endYearMax) : endY;
+            const y = Math.max(top, outerTop);
+            const height = Math.min(bottom, outerBottom) - y;
+            if (height > 0) {
+                bars.push({
+                    x: barX, y, height,
+                    color: color.border,
+                    fadeStart: event.yearMax !== undefined ? Math.max(0, yFor(event.yearMax) - y) / height : 0,
+                    fadeEnd: event.endYearMin !== undefined ? Math.max(0, outerBottom - yFor(event.endYearMin)) / height : 0
+                });
+            }
+        } else if (startY >= top && startY <= bottom) {
+            dots.push({
+                x: center, y: startY, color: color.border,
+                spreadTop: event.yearMin !== undefined ? yFor(event.yearMin) : null,
+                spreadBottom: event.yearMax !== undefined ? yFor(event.yearMax) : null
+            });
+        }
+        
+        // Card text as on TimelineEntry cards, stacked so cards on a side don't overlap
+        const titleLines = wrapText(event.title, 32, 3);
+        const desc = wrapText(event.desc, 46, descLines);
+        const icons = (event.categories || []).map(key => STATE.categories[key]?.icon || '').join('');
+        const height = 5 + 10 + titleLines.length * 19 + 16 + (desc.length ? 6 + desc.length * 16 : 0) +
+            (icons ? 20 : 0) + 10;
+        const y = Math.max(anchorY - height / 2, nextCardTop[side]);
+        nextCardTop[side] = y + height + cardGap;
+        const gap = connectorWidth + Math.abs(barX - center);
+        cards.push({
+            side, y, height, anchorY, barX,
+            x: side === 'left' ? center - gap - cardWidth : center + gap,
+            color,
+            titleLines,
+            date: formatYearDisplay(event),
+            desc,
+            icons
+        });
+    });
+    
+    const contentBottom = Math.max(bottom, ...cards.map(card => card.y + card.height));
+    return {
+        width,
+        height: Math.ceil(contentBottom + margin),
+        from, to, scale, top, bottom, legendTop,
+        legend, markers, bands, bars, dots, cards,
+        eventCount: events.length
+    };
+}
+
+/**
+ * Split a tall poster into page tiles. Each break moves up to the latest line in
+ * the lower half of the page that crosses no card, marker box, band label or dot.
+ * Where there is no such line, the page is cut at its full height and the next
+ * page starts at the top of what straddles the cut, so those are drawn whole
+ * there and blanked where the edges cut them.
+ * @param {object} layout - From layoutPoster()
+ * @param {number} pageHeight - Tile height (px)
+ * @returns {object[]} Pages for buildPosterSVG()
+ */
+function paginatePoster(layout, pageHeight) {
+    const { width, top } = layout;
+    const { margin, cardWidth, cardGap } = POSTER_CONFIG;
+    const center = width / 2;
+    const blocks = [
+        { x: 0, width, start: 0, end: top },
+        ...layout.cards.map(card => ({ x: card.x, width: cardWidth, start: card.y, end: card.y + card.height })),
+        ...layout.markers.map(marker => {
+            const boxWidth = marker.label.length * 7 + 20;
+            return { x: center - boxWidth / 2, width: boxWidth, start: marker.y - 10, end: marker.y + 10 };
+        }),
+        ...layout.bands.map(band => ({ x: center, width: center - margin, start: band.y, end: band.y + 20 })),
+        ...layout.dots.map(dot => ({ x: dot.x - 8, width: 16, start: dot.y - 8, end: dot.y + 8 })),
+    ];
+    
+    const pages = [];
+    for (let y = 0; y < layout.height;) {
+        const limit = y + pageHeight;
+        const nearby = blocks.filter(block => block.end > y && block.start < limit);
+        const crossing = (line) => nearby.filter(block => block.start < line && line < block.end);
+        
+        let end = Math.min(limit, layout.height);
+        let next = end;
+        if (limit < layout.height) {
+            const breaks = [limit, ...nearby.map(block => block.start - cardGap / 2)]
+                .filter(line => line > y + pageHeight / 2 && line <= limit && crossing(line).length === 0);
+            if (breaks.length) {
+                end = next = Math.floor(Math.max(...breaks));
+            } else {
+                next = Math.max(y + 1, Math.floor(Math.min(...crossing(end).map(block => block.start))));
+            }
+        }
+        
+        const blanks = [
+            ...crossing(y).map(block => ({ x: block.x, y, width: block.width, height: block.end - y })),
+            ...crossing(end).map(block => ({ x: block.x, y: block.start, width: block.width, height: end - block.start })),
+        ];
+        pages.push({ y, height: pageHeight, end, blanks });
+        y = next;
+    }
+    return pages;
+}
+
+/**
+ * Draw a poster layout as SVG
+ * @param {object} layout - From layoutPoster()
+ * @param {object} [page] - { y, height, end, blanks } to draw one page tile: blank
+ *   from end on and over blanks ({ x, y, width, height }, cut by the page edges)
+ * @returns {string} SVG document
+ */
+function buildPosterSVG(layout, page = { y: 0, height: layout.height }) {
+    const { width, top, bottom, legendTop } = layout;
+    const { margin, cardWidth } = POSTER_CONFIG;
+    const C = POSTER_COLORS;
+    const center = width / 2;
+    const text = (x, y, content, attrs = '') => `<text x="${x}" y="${y}" ${attrs}>${escapeHTML(content)}</text>`;
+    const parts = [];
+    const defs = [];
+    
+    parts.push(`<rect x="0" y="0" width="${width}" height="${layout.height}" fill="${C.background}"/>`);
+    
+    // Title, window and legend
+    parts.push(text(margin, margin + 24, 'The Holocene Timeline',
+        `font-family="${POSTER_FONTS.serif}" font-size="30" fill="${C.bone}"`));
+    parts.push(text(margin, margin + 46,
+        `${formatSingleYear(layout.from)} – ${formatSingleYear(layout.to)} · ${layout.scale} px per year · ${layout.eventCount} events`,
+        `font-family="${POSTER_FONTS.mono}" font-size="12" fill="${C.boneDim}"`));
+    layout.legend.forEach((item, index) => {
+        const x = margin + (index % 4) * ((width - margin * 2) / 4);
+        const y = legendTop + Math.floor(index / 4) * 24;
+        parts.push(`<rect x="${x}" y="${y}" width="12" height="12" rx="2" fill="${item.color}"/>`);
+        parts.push(text(x + 20, y + 11, item.label, `font-family="${POSTER_FONTS.mono}" font-size="12" fill="${C.boneDim}"`));
+    });
+    
+    // Age bands behind everything else on the track
+    layout.bands.forEach(band => {
+        parts.push(`<rect x="${margin}" y="${band.y}" width="${width - margin * 2}" height="${band.height}" fill="${band.color}" fill-opacity="0.07"/>`);
+        parts.push(text(width - margin - 8, band.y + 16, band.label,
+            `text-anchor="end" font-family="${POSTER_FONTS.mono}" font-size="11" letter-spacing="1" fill="${band.color}"`));
+    });
+    
+    // Spine and year markers
+    parts.push(`<line x1="${center}" y1="${top}" x2="${center}" y2="${bottom}" stroke="${C.line}" stroke-width="2"/>`);
+    layout.markers.forEach(marker => {
+        const boxWidth = marker.label.length * 7 + 20;
+        parts.push(`<rect x="${center - boxWidth / 2}" y="${marker.y - 10}" width="${boxWidth}" height="20" fill="${marker.major ? C.card : C.background}" stroke="${marker.major ? C.goldDim : C.line}"/>`);
+        parts.push(text(center, marker.y + 4, marker.label,
+            `text-anchor="middle" font-family="${POSTER_FONTS.mono}" font-size="10" letter-spacing="1" fill="${C.boneDim}"`));
+    });
+    
+    // Range bars, with faded ends across their uncertainty windows
+    layout.bars.forEach((bar, index) => {
+        let fill = bar.color;
+        let opacity = 0.6;
+        if (bar.fadeStart > 0 || bar.fadeEnd > 0) {
+            defs.push(`<linearGradient id="poster-fade-${index}" x1="0" y1="0" x2="0" y2="1">` +
+                `<stop offset="0" stop-color="${bar.color}" stop-opacity="${bar.fadeStart > 0 ? 0 : 0.6}"/>` +
+                `<stop offset="${bar.fadeStart}" stop-color="${bar.color}" stop-opacity="0.6"/>` +
+                `<stop offset="${1 - bar.fadeEnd}" stop-color="${bar.color}" stop-opacity="0.6"/>` +
+                `<stop offset="1" stop-color="${bar.color}" stop-opacity="${bar.fadeEnd > 0 ? 0 : 0.6}"/>` +
+                '</linearGradient>');
+            fill = `url(#poster-fade-${index})`;
+            opacity = 1;
+        }
+        parts.push(`<rect x="${bar.x - 6}" y="${bar.y}" width="12" height="${bar.height}" rx="6" fill="${fill}" fill-opacity="${opacity}" stroke="${C.background}" stroke-width="2"/>`);
+    });
+    
+    // Point dots (uncertain dates get a faded band behind the dot)
+    layout.dots.forEach((dot, index) => {
+        if (dot.spreadTop !== null) {
+            defs.push(`<linearGradient id="poster-spread-${index}" x1="0" y1="0" x2="0" y2="1">` +
+                `<stop offset="0" stop-color="${dot.color}" stop-opacity="0"/>` +
+                `<stop offset="0.5" stop-color="${dot.color}" stop-opacity="0.5"/>` +
+                `<stop offset="1" stop-color="${dot.color}" stop-opacity="0"/>` +
+                '</linearGradient>');
+            parts.push(`<rect x="${dot.x - 3}" y="${dot.spreadTop}" width="6" height="${dot.spreadBottom - dot.spreadTop}" rx="3" fill="url(#poster-spread-${index})"/>`);
+        }
+        parts.push(`<circle cx="${dot.x}" cy="${dot.y}" r="6" fill="${dot.color}" stroke="${C.background}" stroke-width="2"/>`);
+    });
+    
+    // Cards with connectors back to their dot or bar
+    layout.cards.forEach(card => {
+        const isLeft = card.side === 'left';
+        const edgeX = isLeft ? card.x + cardWidth : card.x;
+        const midY = card.y + card.height / 2;
+        const elbowX = isLeft ? edgeX + 12 : edgeX - 12;
+        parts.push(`<path d="M ${card.barX} ${card.anchorY} H ${elbowX} L ${edgeX} ${midY}" fill="none" stroke="${card.color.border}" stroke-opacity="0.6"/>`);
+        
+        parts.push(`<rect x="${card.x}" y="${card.y}" width="${cardWidth}" height="${card.height}" fill="${C.card}" stroke="${C.border}"/>`);
+        parts.push(`<rect x="${card.x}" y="${card.y}" width="${cardWidth}" height="5" fill="${card.color.border}"/>`);
+        
+        const textX = isLeft ? card.x + cardWidth - 12 : card.x + 12;
+        const anchor = `text-anchor="${isLeft ? 'end' : 'start'}"`;
+        let y = card.y + 5 + 10;
+        card.titleLines.forEach(line => {
+            y += 19;
+            parts.push(text(textX, y - 4, line, `${anchor} font-family="${POSTER_FONTS.serif}" font-size="17" fill="${C.bone}"`));
+        });
+        y += 16;
+        parts.push(text(textX, y - 4, card.date, `${anchor} font-family="${POSTER_FONTS.mono}" font-size="10" letter-spacing="1" fill="${card.color.text}"`));
+        if (card.desc.length) y += 6;
+        card.desc.forEach(line => {
+            y += 16;
+            parts.push(text(textX, y - 4, line, `${anchor} font-family="${POSTER_FONTS.serif}" font-size="13" fill="${C.boneDim}"`));
+        });
+        if (card.icons) {
+            y += 20;
+            parts.push(text(textX, y - 4, card.icons, `${anchor} font-size="12"`));
+        }
+    });
+    
+    // Blank what the page edges cut, and the rest of a tile below its break
+    // (drawn whole on the neighbouring page)
+    (page.blanks || []).forEach(blank => {
+        parts.push(`<rect x="${blank.x}" y="${blank.y}" width="${blank.width}" height="${blank.height}" fill="${C.background}"/>`);
+    });
+    if (page.end !== undefined && page.end < page.y + page.height) {
+        parts.push(`<rect x="0" y="${page.end}" width="${width}" height="${page.y + page.height - page.end}" fill="${C.background}"/>`);
+    }
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${page.height}" viewBox="0 ${page.y} ${width} ${page.height}">` +
+        (defs.length ? `<defs>${defs.join('')}</defs>` : '') +
+        parts.join('') +
+        '</svg>';
+}
+
+/**
+ * Rasterize a poster SVG to PNG
+ * @param {string} svg - From buildPosterSVG()
+ * @param {number} width - SVG width (px)
+ * @param {number} height - SVG height (px)
+ * @param {number} resolution - PNG pixels per SVG px
+ * @returns {Promise<Blob>}
+ */
+function renderPosterPNG(svg, width, height, resolution) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * resolution);
+            canvas.height = Math.round(height * resolution);
+            const context = canvas.getContext('2d');
+            context.scale(resolution, resolution);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode PNG')), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not rasterize the poster'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Export a poster of the chosen window and scale
+ * @param {string} format - 'svg' or 'png'
+ * @returns {Promise<number>} Number of files written (0 on failure)
+ */
+async function exportPoster(format) {
+    const status = document.getElementById('posterStatus');
+    const setStatus = (message) => {
+        if (status) status.textContent = message;
+    };
+    
+    const span = getPosterWindow();
+    if (!span) {
+        setStatus('Could not read the From/To years');
+        return 0;
+    }
+    const scaleValue = parseFloat(document.getElementById('posterScale')?.value);
+    const scale = scaleValue > 0 ? scaleValue : CONFIG.pxPerYear;
+    const trackHeight = (span.to - span.from) * scale;
+    if (trackHeight > POSTER_CONFIG.maxHeight) {
+        setStatus(`${Math.round(trackHeight).toLocaleString()} px is too tall for one poster ` +
+            `(max ${POSTER_CONFIG.maxHeight.toLocaleString()}). Shorten the window or lower the scale.`);
+        return 0;
+    }
+    
+    const layout = layoutPoster({ ...span, scale });
+    const resolution = POSTER_CONFIG.pngResolution;
+    const tiled = document.getElementById('posterPages')?.value === 'pages' ||
+        (format === 'png' && layout.height * resolution > POSTER_CONFIG.maxCanvasHeight);
+    const pages = tiled
+        ? paginatePoster(layout, Math.round(layout.width * POSTER_CONFIG.pageAspect))
+        : [{ y: 0, height: layout.height }];
+    
+    setStatus('Rendering…');
+    try {
+        for (const [index, page] of pages.entries()) {
+            const name = pages.length > 1
+                ? `holocene-poster-${String(index + 1).padStart(2, '0')}-of-${pages.length}`
+                : 'holocene-poster';
+            const svg = buildPosterSVG(layout, page);
+            if (format === 'png') {
+                const png = await renderPosterPNG(svg, layout.width, page.height, resolution);
+                downloadFile(`${name}.png`, png, 'image/png');
+            } else {
+                downloadFile(`${name}.svg`, svg, 'image/svg+xml');
+            }
+        }
+    } catch (error) {
+        console.error('Poster export failed:', error);
+        setStatus(error.message);
+        return 0;
+    }
+    
+    setStatus(`Exported ${layout.eventCount} events on ${pages.length} ${pages.length === 1 ? 'page' : 'pages'} ` +
+        `(${layout.width} × ${layout.height.toLocaleString()} px)`);
+    return pages.length;
+}
+
+/**
+ * Setup the sidebar poster export
+ */
+function setupPosterExport() {
+    const scaleInput = document.getElementById('posterScale');
+    if (scaleInput) scaleInput.placeholder = `${CONFIG.pxPerYear} px/yr`;
+    document.querySelectorAll('[data-poster]').forEach(button => {
+        button.addEventListener('click', () => exportPoster(button.dataset.poster));
+    });
+}
+
+// ============ PERSONAL EVENTS ============
+
+/*
+ * Events added in the editor (or with timelineAPI.addEvent) form the "My events"
+ * dataset. They are kept as entered - dataset-format fields plus an id, and the
+ * color timelineAPI.addEvent may be given - in IndexedDB, and go through
+ * validateDataset() and normalizeDataset() like any dataset each time they change. Without IndexedDB (private windows in some
+ * browsers) they last for the session only.
+ */
+const USER_DATASET = { id: 'user', name: 'My events', color: '#d4442e' };
+const USER_DB = { name: 'holocene-timeline', version: 1, store: 'userEvents' };
+
+// Dataset-format fields kept for personal events (calendar only comes from imported files)
+const USER_EVENT_FIELDS = ['title', 'year', 'endYear', 'calendar', 'type', 'desc', 'source', 'categories'];
+
+// Colors accepted from timelineAPI.addEvent
+const USER_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Personal events as entered, in the order added
+let userEvents = [];
+
+// Promise of the open database (resolves to null without IndexedDB)
+let userDBPromise = null;
+
+// Id of the event open in the editor, or null when adding one
+let editingEventId = null;
+
+/**
+ * Open (creating on first use) the personal events database
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openUserDB() {
+    if (!userDBPromise) {
+        userDBPromise = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(USER_DB.name, USER_DB.version);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(USER_DB.store, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Could not open personal events database:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return userDBPromise;
+}
+
+/**
+ * Run changes against the personal events store in one transaction
+ * @param {function} change - Called with the object store
+ * @returns {Promise<boolean>} False if nothing could be stored
+ */
+async function updateUserDB(change) {
+    const db = await openUserDB();
+    if (!db) return false;
+    return new Promise(resolve => {
+        const transaction = db.transaction(USER_DB.store, 'readwrite');
+        change(transaction.objectStore(USER_DB.store));
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => {
+            console.error('Could not save personal events:', transaction.error);
+            resolve(false);
+        };
+    });
+}
+
+/**
+ * Read the stored personal events
+ * @returns {Promise<object[]>}
+ */
+async function readUserEvents() {
+    const db = await openUserDB();
+    if (!db) return [];
+    return new Promise(resolve => {
+        const request = db.transaction(USER_DB.store).objectStore(USER_DB.store).getAll();
+        request.onsuccess = () => resolve(request.result.sort((a, b) => a.created - b.created));
+        request.onerror = () => {
+            console.error('Could not read personal events:', request.error);
+            resolve([]);
+        };
+    });
+}
+
+/**
+ * Keep only the editor fields of an event, dropping empty ones
+ * @param {object} fields
+ * @returns {object}
+ */
+function cleanUserEventFields(fields) {
+    const cleaned = {};
+    USER_EVENT_FIELDS.forEach(key => {
+        const value = typeof fields[key] === 'string' ? fields[key].trim() : fields[key];
+        if (value === undefined || value === null || value === '') return;
+        if (Array.isArray(value) && value.length === 0) return;
+        cleaned[key] = value;
+    });
+    return cleaned;
+}
+
+/**
+ * Validate and normalize personal event fields as they would be rendered
+ * @param {object} fields - Dataset-format event fields
+ * @returns {object} { event, errors } - normalized event (null if invalid) and error messages
+ */
+function checkUserEvent(fields) {
+    const data = { id: USER_DATASET.id, events: [cleanUserEventFields(fields)] };
+    const { events, issues } = validateDataset(data, USER_DATASET.name);
+    const errors = issues.filter(issue => issue.severity === 'error').map(issue => issue.message);
+    
+    // Only web links are rendered as "Learn more", so don't save anything else
+    const { source } = data.events[0];
+    if (source !== undefined && !isWebURL(source)) {
+        errors.push('"source" should be an http:// or https:// link');
+    }
+    if (!events?.length || errors.length > 0) return { event: null, errors };
+    return { event: normalizeDataset({ ...data, events }).events[0], errors };
+}
+
+/**
+ * Build the "My events" dataset from the personal events
+ * @returns {object}
+ */
+function buildUserDataset() {
+    // The record's color is not a dataset field, so it rides along as userColor for getEventColor()
+    const events = userEvents.map(({ color, ...record }) => color ? { ...record, userColor: color } : { ...record });
+    const data = { ...USER_DATASET, categories: {}, events };
+    data.events = validateDataset(data, USER_DATASET.name).events;
+    return normalizeDataset(data);
+}
+
+/**
+ * Swap the "My events" dataset for one built from the current personal events.
+ * Does not render.
+ */
+function syncUserDataset() {
+    STATE.datasets = STATE.datasets.filter(dataset => dataset.id !== USER_DATASET.id);
+    if (userEvents.length > 0) STATE.datasets.push(buildUserDataset());
+    mergeDatasets();
+    renderUserEventList();
+}
+
+/**
+ * Re-render after personal events changed, keeping the current year at the reference line
+ */
+function refreshUserEvents() {
+    const currentYear = getYearAtReference();
+    syncUserDataset();
+    renderTimeline();
+    scrollToYear(currentYear, { center: true, instant: true });
+    updateVirtualWindow();
+    updateYearDisplay();
+}
+
+/**
+ * Load the stored personal events into STATE.datasets (on startup; does not render)
+ */
+async function restoreUserEvents() {
+    userEvents = await readUserEvents();
+    if (userEvents.length > 0) syncUserDataset();
+}
+
+/**
+ * Add a personal event
+ * @param {object} fields - Dataset-format event fields
+ * @param {string} [color] - #rrggbb color to draw it in instead of its categories'
+ * @returns {object} { event, errors } - the normalized event, or null and the errors
+ */
+function addUserEvent(fields, color) {
+    const { event, errors } = checkUserEvent(fields);
+    if (color && !USER_COLOR_PATTERN.test(color)) errors.push('color should be a #rrggbb hex color');
+    if (!event || errors.length > 0) return { event: null, errors };
+    
+    const record = {
+        id: `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        created: Date.now(),
+        ...cleanUserEventFields(fields)
+    };
+    if (color) record.color = color;
+    userEvents.push(record);
+    refreshUserEvents();
+    updateUserDB(store => store.put(record));
+    return { event: STATE.allEvents.find(e => e.id === record.id), errors };
+}
+
+/**
+ * Replace the fields of a personal event
+ * @param {string} id
+ * @param {object} fields - Dataset-format event fields
+ * @returns {object} { event, errors } - the normalized event, or null and the errors
+ */
+function updateUserEvent(id, fields) {
+    const index = userEvents.findIndex(record => record.id === id);
+    if (index < 0) return { event: null, errors: ['no such event'] };
+    const { event, errors } = checkUserEvent(fields);
+    if (!event) return { event: null, errors };
+    
+    const { created, color } = userEvents[index];
+    const record = { id, created, ...cleanUserEventFields(fields) };
+    if (color) record.color = color;
+    userEvents[index] = record;
+    refreshUserEvents();
+    updateUserDB(store => store.put(record));
+    return { event: STATE.allEvents.find(e => e.id === id), errors };
+}
+
+/**
+ * Delete a personal event
+ * @param {string} id
+ * @returns {boolean} False if there is no such event
+ */
+function deleteUserEvent(id) {
+    if (!userEvents.some(record => record.id === id)) return false;
+    userEvents = userEvents.filter(record => record.id !== id);
+    refreshUserEvents();
+    updateUserDB(store => store.delete(id));
+    return true;
+}
+
+/**
+ * List the personal events in the sidebar
+ */
+function renderUserEventList() {
+    const list = document.getElementById('userEventList');
+    if (!list) return;
+    
+    const events = STATE.allEvents.filter(event => event.sourceDataset === USER_DATASET.id);
+    list.innerHTML = events.map(event => `
+        <li class="user-event-item" data-id="${escapeHTML(event.id)}">
+            <button class="user-event-open" data-action="edit" title="Edit">
+                <span class="user-event-title">${escapeHTML(event.title)}</span>
+                <span class="user-event-date">${escapeHTML(formatYearDisplay(event))}</span>
+            </button>
+            <button class="user-event-delete" data-action="delete" title="Delete">×</button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Read the editor form as dataset-format fields
+ * @returns {object}
+ */
+function getEditorFields() {
+    const value = (id) => document.getElementById(id)?.value || '';
+    return {
+        title: value('editorTitle'),
+        year: value('editorYear'),
+        endYear: value('editorEndYear'),
+        type: value('editorType'),
+        desc: value('editorDesc'),
+        source: value('editorSource'),
+        categories: [...document.querySelectorAll('#editorCategories input:checked')].map(input => input.value),
+    };
+}
+
+/**
+ * Show how the editor's dates parse, or what is wrong with them
+ */
+function updateEditorPreview() {
+    const preview = document.getElementById('editorPreview');
+    const saveBtn = document.getElementById('editorSave');
+    const { event, errors } = checkUserEvent(getEditorFields());
+    if (preview) {
+        preview.textContent = event ? formatYearDisplay(event) : errors.join('; ');
+        preview.classList.toggle('error', !event);
+    }
+    if (saveBtn) saveBtn.disabled = !event;
+}
+
+/**
+ * Open the event editor
+ * @param {string|null} [id] - Personal event to edit (null to add one)
+ */
+function openEventEditor(id = null) {
+    const record = userEvents.find(r => r.id === id);
+    editingEventId = record ? record.id : null;
+    
+    document.getElementById('editorTitleText').textContent = record ? 'Edit event' : 'Add event';
+    document.getElementById('editorDelete').hidden = !record;
+    const set = (elementId, value) => { document.getElementById(elementId).value = value ?? ''; };
+    set('editorTitle', record?.title);
+    set('editorYear', record?.year);
+    set('editorEndYear', record?.endYear);
+    set('editorType', record?.type);
+    set('editorDesc', record?.desc);
+    set('editorSource', record?.source);
+    
+    // Categories of all loaded datasets
+    const selected = new Set(record?.categories || []);
+    document.getElementById('editorCategories').innerHTML = Object.entries(STATE.categories)
+        .map(([key, category]) => `
+            <label class="editor-category">
+                <input type="checkbox" value="${escapeHTML(key)}"${selected.has(key) ? ' checked' : ''}>
+                ${escapeHTML(`${category.icon ? `${category.icon} ` : ''}${category.name}`)}
+            </label>
+        `).join('');
+    
+    updateEditorPreview();
+    document.getElementById('eventEditor').hidden = false;
+    document.getElementById('editorTitle').focus();
+}
+
+/**
+ * Close the event editor without saving
+ */
+function closeEventEditor() {
+    editingEventId = null;
+    document.getElementById('eventEditor').hidden = true;
+}
+
+/**
+ * Save the editor's event (adding or updating) and scroll to it
+ * @returns {object|null} The normalized event
+ */
+function saveEventEditor() {
+    const fields = getEditorFields();
+    fields.calendar = userEvents.find(record => record.id === editingEventId)?.calendar;
+    const { event } = editingEventId ? updateUserEvent(editingEventId, fields) : addUserEvent(fields);
+    if (!event) {
+        updateEditorPreview();
+        return null;
+    }
+    closeEventEditor();
+    scrollToYear(getEventPosition(event), { center: true });
+    return event;
+}
+
+/**
+ * Export the personal events as a dataset file (as entered, so dates keep their wording)
+ */
+function exportUserEvents() {
+    const events = userEvents.map(({ id, created, color, ...fields }) => fields);
+    const data = {
+        ...USER_DATASET,
+        categories: pickUsedDefinitions(STATE.categories, events, 'categories'),
+        regions: pickUsedDefinitions(STATE.regions, events, 'regions'),
+        events
+    };
+    downloadFile('my-events.json', JSON.stringify(data, null, 2), 'application/json');
+    setUserEventsStatus(`Exported ${events.length} ${events.length === 1 ? 'event' : 'events'}`);
+}
+
+/**
+ * Add the valid events of a dataset file to the personal events
+ * @param {File} file
+ * @returns {Promise<number>} Number of events added
+ */
+async function importUserEvents(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        setUserEventsStatus(`"${file.name}" is not a JSON dataset`);
+        return 0;
+    }
+    
+    const { events, issues } = validateDataset(data, file.name);
+    if (!events) {
+        setUserEventsStatus(`"${file.name}" is not a dataset: ${issues[0]?.message}`);
+        return 0;
+    }
+    
+    // Held to the editor's rules (e.g. web links only) before being stored
+    const accepted = events
+        .map(event => ({ ...event, calendar: event.calendar || data.calendar }))
+        .filter(event => checkUserEvent(event).event);
+    
+    const now = Date.now();
+    const records = accepted.map((event, index) => ({
+        id: `user-${(now + index).toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        created: now + index,
+        ...cleanUserEventFields(event)
+    }));
+    userEvents.push(...records);
+    refreshUserEvents();
+    await updateUserDB(store => records.forEach(record => store.put(record)));
+    
+    const skipped = data.events.length - records.length;
+    setUserEventsStatus(`Added ${records.length} ${records.length === 1 ? 'event' : 'events'} from "${file.name}"` +
+        (skipped ? ` · ${skipped} left out with errors` : ''));
+    return records.length;
+}
+
+/**
+ * Set the status line under the personal events list
+ * @param {string} message
+ */
+function setUserEventsStatus(message) {
+    const status = document.getElementById('userEventsStatus');
+    if (status) status.textContent = message;
+}
+
+/**
+ * Setup the sidebar personal events list and the event editor
+ */
+function setupUserEvents() {
+    const editor = document.getElementById('eventEditor');
+    if (!editor) return;
+    
+    renderUserEventList();
+    openUserDB().then(db => {
+        if (!db) setUserEventsStatus('This browser can\'t store events, so they last until the page is closed.');
+    });
+    
+    document.getElementById('userEventAdd')?.addEventListener('click', () => openEventEditor());
+    document.getElementById('userEventList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        const id = button?.closest('.user-event-item')?.dataset.id;
+        if (!id) return;
+        if (button.dataset.action === 'edit') {
+            openEventEditor(id);
+        } else if (button.dataset.action === 'delete' && confirm('Delete this event?')) {
+            deleteUserEvent(id);
+        }
+    });
+    
+    // Export/import as a dataset file
+    const fileInput = document.getElementById('userEventFileInput');
+    document.getElementById('userEventExport')?.addEventListener('click', exportUserEvents);
+    document.getElementById('userEventImport')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+        if (fileInput.files[0]) importUserEvents(fileInput.files[0]);
+        fileInput.value = ''; // Allow picking the same file again
+    });
+    
+    // Editor
+    editor.addEventListener('input', updateEditorPreview);
+    editor.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeEventEditor();
+    });
+    document.getElementById('editorForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveEventEditor();
+    });
+    document.getElementById('editorCancel')?.addEventListener('click', closeEventEditor);
+    document.getElementById('editorDismiss')?.addEventListener('click', closeEventEditor);
+    document.getElementById('editorDelete')?.addEventListener('click', () => {
+        if (editingEventId && confirm('Delete this event?')) {
+            deleteUserEvent(editingEventId);
+            closeEventEditor();
+        }
+    });
+}
+
+// ============ AUTHORING MODE ============
+
+/*
+ * Authoring mode edits a loaded dataset's source in a form docked beside the track.
+ * The working copy holds the raw dataset (dates as written); every change is
+ * validated and normalized like a loaded file and swapped onto the live track
+ * in place of the dataset, with the edited event's card locked open. Downloads
+ * are written by formatAuthoringJSON() in a fixed key order, keeping the file's
+ * event order (added events go in by date), so that re-saving a file only
+ * changes what was edited. Closing restores the dataset as loaded.
+ */
+
+// Key order of written datasets, categories and events (other keys follow, sorted)
+const AUTHORING_KEY_ORDER = {
+    dataset: ['id', 'name', 'description', 'color', 'calendar', 'categories', 'regions', 'events'],
+    category: ['name', 'icon', 'color'],
+    color: ['bg', 'border', 'text'],
+    event: ['id', 'year', 'endYear', 'calendar', 'title', 'desc', 'source', 'categories', 'regions', 'location', 'related', 'type', 'isAge', 'ageColor'],
+    location: ['lat', 'lon', 'name'],
+    relation: ['id', 'type'],
+};
+
+// Session: { original (dataset as loaded), data (raw working copy), selected (event index),
+//           added (working copy events added in this session) }
+let authoring = null;
+
+// Pending live-track update (debounced while typing)
+let authoringPreviewTimer = null;
+
+/**
+ * Get the raw (as written) source of a loaded dataset
+ * @param {object} dataset - Loaded dataset from STATE.datasets
+ * @returns {Promise<object>} Raw dataset
+ */
+async function getAuthoringSource(dataset) {
+    const entry = STATE.manifest.find(e => e.id === dataset.id);
+    if (entry) {
+        try {
+            const response = await fetch(entry.url);
+            if (response.ok) return await response.json();
+        } catch (error) {
+            console.error(`Could not fetch ${entry.url} for authoring:`, error);
+        }
+    }
+    if (dataset.id === USER_DATASET.id) {
+        return { ...USER_DATASET, categories: {}, events: userEvents.map(({ id, created, ...fields }) => fields) };
+    }
+    
+    // Imported datasets only exist normalized - write their dates back as HE
+    const { events, ...rest } = dataset;
+    return { ...rest, events: toDatasetEvents(events) };
+}
+
+/**
+ * Order an object's keys: the listed ones first, then the rest alphabetically
+ * @param {object} obj
+ * @param {string[]} order
+ * @returns {object}
+ */
+function orderKeys(obj, order) {
+    const keys = [
+        ...order.filter(key => obj[key] !== undefined),
+        ...Object.keys(obj).filter(key => !order.includes(key)).sort()
+    ];
+    return Object.fromEntries(keys.map(key => [key, obj[key]]));
+}
+
+/**
+ * Format a raw dataset for committing: fixed key order, two-space indent. Events
+ * keep their order in the file; added events go in before the first event dated
+ * after them (unparseable dates last).
+ * @param {object} data - Raw dataset
+ * @param {Set<object>} [added] - Events of data.events added since it was loaded
+ * @returns {string}
+ */
+function formatAuthoringJSON(data, added = new Set()) {
+    const startOf = (event) => {
+        const start = getDatePosition(parseEventDate(event.year, event.calendar || data.calendar));
+        return isNaN(start) ? Infinity : start;
+    };
+    const placed = data.events.filter(event => !added.has(event));
+    data.events
+        .filter(event => added.has(event))
+        .sort((a, b) => startOf(a) - startOf(b))
+        .forEach(event => {
+            const index = placed.findIndex(other => startOf(other) > startOf(event));
+            placed.splice(index < 0 ? placed.length : index, 0, event);
+        });
+    
+    const events = placed
+        .map(event => {
+            const ordered = orderKeys(event, AUTHORING_KEY_ORDER.event);
+            if (getSchemaType(ordered.location) === 'object') ordered.location = orderKeys(ordered.location, AUTHORING_KEY_ORDER.location);
+            if (Array.isArray(ordered.related)) {
+                ordered.related = ordered.related.map(relation =>
+                    getSchemaType(relation) === 'object' ? orderKeys(relation, AUTHORING_KEY_ORDER.relation) : relation);
+            }
+            return ordered;
+        });
+    
+    const categories = Object.fromEntries(Object.entries(data.categories || {}).map(([key, category]) => {
+        const ordered = orderKeys(category, AUTHORING_KEY_ORDER.category);
+        if (getSchemaType(ordered.color) === 'object') ordered.color = orderKeys(ordered.color, AUTHORING_KEY_ORDER.color);
+        return [key, ordered];
+    }));
+    
+    const dataset = orderKeys({ ...data, categories, events }, AUTHORING_KEY_ORDER.dataset);
+    return `${JSON.stringify(dataset, null, 2)}\n`;
+}
+
+/**
+ * Validate and normalize the working copy as it would load. Events are tagged
+ * with authoringIndex (their index in the working copy).
+ * @returns {object} { dataset, issues } - dataset is null if unusable
+ */
+function buildAuthoringDataset() {
+    const data = JSON.parse(JSON.stringify(authoring.data));
+    data.events.forEach((event, index) => { event.authoringIndex = index; });
+    const { events, issues } = validateDataset(data, data.id);
+    if (!events) return { dataset: null, issues };
+    return { dataset: normalizeDataset({ ...data, events }), issues };
+}
+
+/**
+ * Swap the working copy onto the live track and lock the edited event's card
+ */
+function applyAuthoringPreview() {
+    clearTimeout(authoringPreviewTimer);
+    if (!authoring) return;
+    const { dataset } = buildAuthoringDataset();
+    if (!dataset) return;
+    
+    const currentYear = getYearAtReference();
+    STATE.datasets = STATE.datasets.map(d => d.id === authoring.original.id ? dataset : d);
+    mergeDatasets();
+    renderTimeline();
+    scrollToYear(currentYear, { center: true, instant: true });
+    updateVirtualWindow();
+    
+    const event = STATE.allEvents.find(e =>
+        e.sourceDataset === dataset.id && e.authoringIndex === authoring.selected);
+    const note = document.getElementById('authorFiltered');
+    if (note) note.hidden = !event || findEntryForEvent(event) !== null;
+    if (event) focusEvent(event);
+    updateYearDisplay();
+}
+
+/**
+ * Queue a live-track update (while typing)
+ */
+function scheduleAuthoringPreview() {
+    clearTimeout(authoringPreviewTimer);
+    authoringPreviewTimer = setTimeout(applyAuthoringPreview, 300);
 }
 
 /**
- * Setup the "Show Ranges" toggle
+ * List the working copy's events, marking those with problems
+ * @param {object[]} issues - From validateDataset() on the working copy
  */
-function setupRangeToggle() {
-    const toggle = document.getElementById('showRangesToggle');
-    if (!toggle) return;
-    
-    // Initialize based on checkbox state
-    if (toggle.checked) {
-        document.body.classList.add('show-ranges');
-    }
-    
-    toggle.addEventListener('change', () => {
-        if (toggle.checked) {
-            document.body.classList.add('show-ranges');
-        } else {
-            document.body.classList.remove('show-ranges');
-        }
-        // No re-render needed - CSS handles bar visibility via .show-ranges class
+function renderAuthoringList(issues) {
+    const list = document.getElementById('authorEventList');
+    if (!list) return;
+    
+    const query = document.getElementById('authorFilter')?.value.trim().toLowerCase() || '';
+    const severities = {};
+    issues.filter(issue => issue.index !== null).forEach(issue => {
+        if (severities[issue.index] !== 'error') severities[issue.index] = issue.severity;
     });
+    
+    list.innerHTML = authoring.data.events
+        .map((event, index) => ({ event, index }))
+        .filter(({ event }) => !query || String(event.title ?? '').toLowerCase().includes(query))
+        .map(({ event, index }) => `
+            <li class="author-event${index === authoring.selected ? ' selected' : ''}${severities[index] ? ` ${severities[index]}` : ''}" data-index="${index}">
+                <span class="author-event-title">${escapeHTML(event.title || '(untitled)')}</span>
+                <span class="author-event-year">${escapeHTML(String(event.year ?? ''))}</span>
+            </li>
+        `).join('');
 }
 
 /**
- * Setup the "Show Ages" toggle
+ * Show the selected event's parsed dates, display text and problems, and the
+ * dataset's issue counts
  */
-function setupAgeToggle() {
-    const toggle = document.getElementById('showAgesToggle');
-    if (!toggle) return;
-    
-    // Initialize based on checkbox state
-    STATE.showAges = toggle.checked;
-    if (toggle.checked) {
-        document.body.classList.add('show-ages');
+function updateAuthoringReadout() {
+    const { dataset, issues } = buildAuthoringDataset();
+    renderAuthoringList(issues);
+    
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+    document.getElementById('authorSummary').textContent =
+        `${authoring.data.events.length} events · ${errorCount} ${errorCount === 1 ? 'error' : 'errors'} · ` +
+        `${warningCount} ${warningCount === 1 ? 'warning' : 'warnings'}`;
+    
+    const raw = authoring.data.events[authoring.selected];
+    const parsedEl = document.getElementById('authorParsed');
+    const displayEl = document.getElementById('authorDisplay');
+    const issuesEl = document.getElementById('authorIssues');
+    if (!raw) {
+        parsedEl.textContent = '';
+        displayEl.textContent = '';
+        issuesEl.innerHTML = '';
+        return;
     }
     
-    toggle.addEventListener('change', () => {
-        STATE.showAges = toggle.checked;
-        if (toggle.checked) {
-            document.body.classList.add('show-ages');
-        } else {
-            document.body.classList.remove('show-ages');
-        }
-        // No re-render needed - CSS handles bar visibility via .show-ages class
-    });
+    // Normalized HE values, whether or not the event as a whole is valid
+    const calendar = raw.calendar || authoring.data.calendar;
+    const describe = (value) => {
+        if (value === undefined || value === '') return '—';
+        const parsed = parseEventDate(value, calendar);
+        if (isNaN(parsed.year)) return 'unparseable';
+        let text = `${parsed.year} HE`;
+        if (parsed.month) text += ` · month ${parsed.month}${parsed.day ? `, day ${parsed.day}` : ''}`;
+        if (parsed.min !== undefined) text += ` · ${parsed.min} to ${parsed.max}`;
+        return `${text}${parsed.circa ? ' · circa' : ''}`;
+    };
+    parsedEl.textContent = `year: ${describe(raw.year)}\nendYear: ${describe(raw.endYear)}`;
+    
+    const event = dataset?.events.find(e => e.authoringIndex === authoring.selected);
+    displayEl.textContent = event ? formatYearDisplay(event) : '';
+    
+    const eventIssues = issues.filter(issue => issue.index === authoring.selected || issue.index === null);
+    issuesEl.innerHTML = eventIssues.map(issue => `
+        <li class="diagnostics-item ${issue.severity}">
+            <span class="diagnostics-where">${escapeHTML(issue.event || 'dataset')}</span>
+            <span class="diagnostics-message">${escapeHTML(issue.message)}</span>
+        </li>
+    `).join('');
 }
 
 /**
- * Setup the "Show Labels" toggle (labels hidden when unchecked)
+ * Fill the form with an event of the working copy
+ * @param {number} index
  */
-function setupShowLabelsToggle() {
-    const toggle = document.getElementById('showLabelsToggle');
-    if (!toggle) return;
-    
-    // Initialize based on checkbox state (if unchecked, hide labels)
-    if (!toggle.checked) {
-        document.body.classList.add('hide-labels');
-    }
-    
-    toggle.addEventListener('change', () => {
-        if (toggle.checked) {
-            document.body.classList.remove('hide-labels');
+function selectAuthoringEvent(index) {
+    authoring.selected = index;
+    const event = authoring.data.events[index] || {};
+    const set = (id, value) => { document.getElementById(id).value = value ?? ''; };
+    set('authorTitle', event.title);
+    set('authorYear', event.year);
+    set('authorEndYear', event.endYear);
+    set('authorCalendar', event.calendar);
+    set('authorType', event.type);
+    set('authorDesc', event.desc);
+    set('authorSource', event.source);
+    set('authorAgeColor', event.ageColor);
+    document.getElementById('authorIsAge').checked = event.isAge === true;
+    
+    // Categories of the dataset and of the other loaded datasets
+    const selected = new Set(event.categories || []);
+    const categories = { ...STATE.categories, ...(authoring.data.categories || {}) };
+    document.getElementById('authorCategories').innerHTML = Object.entries(categories)
+        .map(([key, category]) => `
+            <label class="editor-category">
+                <input type="checkbox" value="${escapeHTML(key)}"${selected.has(key) ? ' checked' : ''}>
+                ${escapeHTML(`${category.icon ? `${category.icon} ` : ''}${category.name || key}`)}
+            </label>
+        `).join('');
+    
+    updateAuthoringReadout();
+    applyAuthoringPreview();
+}
+
+/**
+ * Copy the form into the selected event (keeping fields the form doesn't show)
+ */
+function readAuthoringForm() {
+    const event = authoring.data.events[authoring.selected];
+    if (!event) return;
+    
+    const value = (id) => document.getElementById(id).value;
+    const setField = (key, fieldValue) => {
+        if (fieldValue === '' || fieldValue === false || (Array.isArray(fieldValue) && fieldValue.length === 0)) {
+            delete event[key];
         } else {
-            document.body.classList.add('hide-labels');
+            event[key] = fieldValue;
         }
-    });
+    };
+    setField('title', value('authorTitle'));
+    setField('year', value('authorYear').trim());
+    setField('endYear', value('authorEndYear').trim());
+    setField('calendar', value('authorCalendar'));
+    setField('type', value('authorType'));
+    setField('desc', value('authorDesc'));
+    setField('source', value('authorSource').trim());
+    setField('ageColor', value('authorAgeColor').trim());
+    setField('isAge', document.getElementById('authorIsAge').checked);
+    setField('categories', [...document.querySelectorAll('#authorCategories input:checked')].map(input => input.value));
 }
 
 /**
- * Setup the "Spread Ranges" toggle
+ * Open a loaded dataset in authoring mode
+ * @param {string} id - Dataset id
+ * @returns {Promise<boolean>} False if the dataset isn't loaded
  */
-function setupSpreadRangesToggle() {
-    const toggle = document.getElementById('spreadRangesToggle');
-    if (!toggle) return;
-    
-    // Initialize based on checkbox state
-    STATE.spreadRanges = toggle.checked;
+async function openAuthoring(id) {
+    const dataset = STATE.datasets.find(d => d.id === id);
+    if (!dataset) return false;
+    if (authoring) closeAuthoring();
+    
+    const source = await getAuthoringSource(dataset);
+    authoring = {
+        original: dataset,
+        data: { ...source, events: Array.isArray(source.events) ? source.events : [] },
+        selected: 0,
+        added: new Set()
+    };
     
-    toggle.addEventListener('change', () => {
-        STATE.spreadRanges = toggle.checked;
-        renderTimeline();
-    });
+    const select = document.getElementById('authorDataset');
+    select.innerHTML = STATE.datasets
+        .map(d => `<option value="${escapeHTML(d.id)}">${escapeHTML(d.name || d.id)}</option>`)
+        .join('');
+    select.value = id;
+    document.getElementById('authorFilter').value = '';
+    document.getElementById('authoringPanel').hidden = false;
+    document.body.classList.add('authoring-mode');
+    selectAuthoringEvent(0);
+    return true;
 }
 
 /**
- * Setup sidebar and top bar controls
+ * Leave authoring mode, putting the dataset back as loaded
  */
-// function setupMobileControls() {
-//     const menuBtn = document.getElementById('menuBtn');
-//     const sidebar = document.getElementById('sidebar');
-//     const sidebarOverlay = document.getElementById('sidebarOverlay');
-    
-//     // Check if we're on desktop (>800px)
-//     const isDesktop = () => window.innerWidth > 800;
-    
-//     // Sidebar open/close
-//     const openSidebar = () => {
-//         sidebar?.classList.add('open');
-//         if (!isDesktop()) {
-//             // Mobile: show overlay
-//             sidebarOverlay?.classList.add('active');
-//         }
-//     };
-    
-//     const closeSidebar = () => {
-//         sidebar?.classList.remove('open');
-//         sidebarOverlay?.classList.remove('active');
-//     };
-    
-//     // Toggle sidebar
-//     const toggleSidebar = () => {
-//         if (sidebar?.classList.contains('open')) {
-//             closeSidebar();
-//         } else {
-//             openSidebar();
-//         }
-//     };
-    
-//     // Menu button toggles sidebar
-//     menuBtn?.addEventListener('click', toggleSidebar);
-    
-//     // Clicking overlay closes sidebar (mobile)
-//     sidebarOverlay?.addEventListener('click', closeSidebar);
-    
-//     // On desktop, sidebar starts closed (user can open if needed)
-//     // On mobile, sidebar also starts closed
-//     if (window.innerWidth > 1600) {
-//         openSidebar();
-//     }
-
-
-//     // Handle resize: adjust overlay behavior when crossing 800px threshold
-//     let wasDesktop = isDesktop();
-//     window.addEventListener('resize', () => {
-//         const nowDesktop = isDesktop();
-        
-//         if (sidebar?.classList.contains('open')) {
-//             if (nowDesktop && !wasDesktop) {
-//                 // Crossed from mobile to desktop while open
-//                 sidebarOverlay?.classList.remove('active');
-//             } else if (!nowDesktop && wasDesktop) {
-//                 // Crossed from desktop to mobile while open
-//                 sidebarOverlay?.classList.add('active');
-//             }
-//         }
-        
-//         wasDesktop = nowDesktop;
-//     });
-// }
+function closeAuthoring() {
+    clearTimeout(authoringPreviewTimer);
+    if (!authoring) return;
+    
+    const { original } = authoring;
+    authoring = null;
+    document.getElementById('authoringPanel').hidden = true;
+    document.body.classList.remove('authoring-mode');
+    
+    const currentYear = getYearAtReference();
+    STATE.datasets = STATE.datasets.map(d => d.id === original.id ? original : d);
+    mergeDatasets();
+    renderTimeline();
+    scrollToYear(currentYear, { center: true, instant: true });
+    updateVirtualWindow();
+    updateYearDisplay();
+}
 
-function setupSidebarControls() {
-    const menuBtn = document.getElementById('menuBtn');
-    const sidebar = document.getElementById('sidebar');
-    autoOpenWidth = 1600;
-    
-    menuBtn?.addEventListener('click', () => {
-        sidebar?.classList.toggle('open');
-    });
-    
-    // Click outside closes sidebar
-    document.addEventListener('click', (e) => {
-        if (!sidebar?.classList.contains('open')) return;
-        if (sidebar.contains(e.target)) return;
-        if (menuBtn.contains(e.target)) return;
-        if (window.innerWidth > autoOpenWidth) return;
-        
-        sidebar.classList.remove('open');
-    });
-    
-    // Start open on wide screens
-    if (window.innerWidth > autoOpenWidth) {
-        sidebar?.classList.add('open');
-    }
+/**
+ * Add an event at the year on screen and select it
+ */
+function addAuthoringEvent() {
+    const year = Math.round(getYearAtReference());
+    const event = { year: formatDatasetDate(year), title: 'New event' };
+    authoring.data.events.push(event);
+    authoring.added.add(event);
+    selectAuthoringEvent(authoring.data.events.length - 1);
+    document.getElementById('authorTitle').select();
 }
 
 /**
- * Populate filter options (called after categories are loaded)
+ * Delete the selected event from the working copy
  */
-function populateMobileFilters() {
-    // No longer needed - we only have one set of filter controls now
-    // This function is kept for compatibility but does nothing
+function deleteAuthoringEvent() {
+    if (!authoring.data.events[authoring.selected]) return;
+    authoring.data.events.splice(authoring.selected, 1);
+    selectAuthoringEvent(Math.min(authoring.selected, authoring.data.events.length - 1));
 }
 
 /**
- * Check if an event passes the current filters
- * @param {object} event - The event to check
- * @returns {boolean} True if event should be shown
+ * Download the working copy, formatted for committing
  */
-function eventPassesFilter(event) {
-    // If no categories defined on event, show it (uncategorized)
-    if (!event.categories || event.categories.length === 0) return true;
-    
-    // If no filters active, hide all categorized events
-    if (STATE.activeFilters.size === 0) return false;
-    
-    // Show if any of the event's categories are active
-    return event.categories.some(cat => STATE.activeFilters.has(cat));
+function downloadAuthoringDataset() {
+    const fileName = `${slugify(authoring.data.id || 'dataset') || 'dataset'}.json`;
+    downloadFile(fileName, formatAuthoringJSON(authoring.data, authoring.added), 'application/json');
 }
 
 /**
- * Get filtered events
+ * Setup the authoring panel
  */
-function getFilteredEvents() {
-    return {
-        pointEvents: STATE.pointEvents.filter(eventPassesFilter),
-        rangeEvents: STATE.rangeEvents.filter(eventPassesFilter)
-    };
+function setupAuthoring() {
+    const panel = document.getElementById('authoringPanel');
+    if (!panel) return;
+    
+    document.getElementById('authoringOpen')?.addEventListener('click', () => {
+        const id = STATE.datasets.find(d => STATE.manifest.some(entry => entry.id === d.id))?.id || STATE.datasets[0]?.id;
+        if (id) openAuthoring(id);
+    });
+    document.getElementById('authorDataset')?.addEventListener('change', (e) => openAuthoring(e.target.value));
+    document.getElementById('authorFilter')?.addEventListener('input', updateAuthoringReadout);
+    document.getElementById('authorEventList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.author-event');
+        if (item) selectAuthoringEvent(parseInt(item.dataset.index, 10));
+    });
+    
+    document.getElementById('authorForm')?.addEventListener('input', () => {
+        readAuthoringForm();
+        updateAuthoringReadout();
+        scheduleAuthoringPreview();
+    });
+    document.getElementById('authorForm')?.addEventListener('submit', (e) => e.preventDefault());
+    
+    document.getElementById('authorAdd')?.addEventListener('click', addAuthoringEvent);
+    document.getElementById('authorDelete')?.addEventListener('click', () => {
+        if (confirm('Delete this event from the dataset?')) deleteAuthoringEvent();
+    });
+    document.getElementById('authorDownload')?.addEventListener('click', downloadAuthoringDataset);
+    document.getElementById('authorClose')?.addEventListener('click', closeAuthoring);
 }
 
 // ============ COLOR FUNCTIONS ============
@@ -1293,7 +5152,8 @@ function getFilteredEvents() {
  * Get the color for an event based on its categories and current filter state
  * When viewing all categories: use first active category's color
  * When viewing a single category: use a DIFFERENT category's color for variety
- * Age events (isAge: true) always use their ageColor
+ * Age events (isAge: true) always use their ageColor, and personal events added
+ * with a color (timelineAPI.addEvent) use that
  * @param {object} event - The event object
  * @returns {object} Color object with bg, border, text properties
  */
@@ -1312,6 +5172,10 @@ function getEventColor(event) {
         };
     }
     
+    if (event.userColor) {
+        return { bg: hexToRgba(event.userColor, 0.3), border: event.userColor, text: event.userColor };
+    }
+    
     // No categories = default gold
     if (!event.categories || event.categories.length === 0) {
         return DEFAULT_COLOR;
@@ -1366,7 +5230,7 @@ function getCategoryIcons(event) {
     }
     
     const icons = event.categories
-        .map(catKey => STATE.categories[catKey]?.icon || '')
+        .map(catKey => escapeHTML(STATE.categories[catKey]?.icon))
         .filter(icon => icon !== '');
     
     if (icons.length === 0) return '';
@@ -1374,6 +5238,23 @@ function getCategoryIcons(event) {
     return `<span class="event-category-icons">${icons.join('')}</span>`;
 }
 
+/**
+ * Get the dataset badge HTML for an event (only when several datasets are active,
+ * but always for personal events)
+ * @param {object} event - The event object
+ * @returns {string} HTML string
+ */
+function getDatasetBadge(event) {
+    const isPersonal = event.sourceDataset === USER_DATASET.id;
+    if (STATE.datasets.length < 2 && !isPersonal) return '';
+    
+    const dataset = STATE.datasets.find(d => d.id === event.sourceDataset);
+    if (!dataset) return '';
+    
+    const color = dataset.color || DEFAULT_COLOR.text;
+    return `<span class="event-dataset-badge${isPersonal ? ' is-personal' : ''}" style="--dataset-color: ${color}">${escapeHTML(dataset.name || dataset.id)}</span>`;
+}
+
 // ============ RENDER FUNCTIONS ============
 
 /**
@@ -1406,8 +5287,8 @@ function createRangeBar(rangeData, index, maxDuration) {
     const isAge = rangeData.isAge ? 'is-age' : '';
     range.className = `event ${showRangeBar ? 'range' : ''} ${isAge} ${side}`.trim();
     
-    const startPx = yearToPixels(rangeData.year);
-    const endPx = yearToPixels(rangeData.endYear);
+    const startPx = yearToPixels(getEventPosition(rangeData));
+    const endPx = yearToPixels(getEventEndPosition(rangeData));
     const heightPx = endPx - startPx;
     
     // Base z-index is 9 (set via CSS), DOM order handles stacking
@@ -1467,12 +5348,13 @@ function createRangeBar(rangeData, index, maxDuration) {
     range.style.setProperty('--event-glow', color.bg.replace('0.3', '0.5'));
     
     // Build source link if available
-    const sourceLink = rangeData.source 
-        ? `<a href="${rangeData.source}" target="_blank" rel="noopener noreferrer" class="event-source" style="color: ${color.text}">Learn more →</a>`
+    const sourceLink = isWebURL(rangeData.source)
+        ? `<a href="${escapeHTML(rangeData.source)}" target="_blank" rel="noopener noreferrer" class="event-source" style="color: ${color.text}">Learn more →</a>`
         : '';
     
     // Get category icons
     const categoryIcons = getCategoryIcons(rangeData);
+    const datasetBadge = getDatasetBadge(rangeData);
     
     // Build the range bar HTML only if it should be shown
     // The bar extends DOWN from the dot position to the end year
@@ -1494,11 +5376,12 @@ function createRangeBar(rangeData, index, maxDuration) {
             <div class="event-dot" style="background: ${borderColor}; box-shadow: 0 0 0 1px ${borderColor}"></div>
             ${rangeBarHtml}
             <div class="event-header">
-                <span class="event-title">${rangeData.title}</span>
+                <span class="event-title">${escapeHTML(rangeData.title)}</span>
             </div>
             <span class="range-dates" style="color: ${color.text}">${yearLabel}</span>
-            <p class="event-desc">${rangeData.desc || ''}</p>
+            <p class="event-desc">${escapeHTML(rangeData.desc)}</p>
             <div class="event-footer">
+                ${datasetBadge}
                 ${categoryIcons}
                 ${sourceLink}
             </div>
@@ -1522,46 +5405,184 @@ function createRangeBar(rangeData, index, maxDuration) {
                 return; // Ignore click on hidden card area
             }
         }
-
-        handleEventClick(range, zIndex);
+
+        handleEventClick(range, zIndex);
+    });
+    
+    // Hover is handled globally by setupSmartHover()
+    
+    return range;
+}
+
+/*
+ * Markers are described as plain objects ({ className, px, label }) rather than
+ * DOM nodes so the virtualized track can materialize only the ones near the
+ * viewport and recycle their nodes (see VIRTUALIZED TRACK).
+ */
+
+function createCenturyMarker(year) {
+    return {
+        className: year % 1000 === 0 ? 'century-marker millennium' : 'century-marker',
+        px: yearToPixels(year),
+        label: `<span>${formatMarkerYear(year)}</span>`
+    };
+}
+
+function createDeepTimeMarker(year) {
+    return {
+        className: 'century-marker deep-time-marker',
+        px: yearToPixels(year),
+        label: `<span>${formatMarkerYear(year)}</span>`
+    };
+}
+
+/**
+ * Describe a local scale as "100 px = N years"
+ * @param {number} pxPerYear
+ * @returns {string}
+ */
+function formatScaleRatio(pxPerYear) {
+    const years = 100 / pxPerYear;
+    const rounded = years >= 10 ? Math.round(years) : Math.round(years * 10) / 10;
+    return `100 px = ${rounded.toLocaleString()} ${rounded === 1 ? 'year' : 'years'}`;
+}
+
+/**
+ * Create the background band for the compressed deep-time (BHE) section above 0 HE
+ */
+function createDeepTimeSection() {
+    const section = document.createElement('div');
+    section.className = 'deep-time-section';
+    section.style[axisStyle('height')] = yearToPixels(0) + 'px';
+    
+    const scaleText = CONFIG.scaleMode === 'log'
+        ? 'logarithmic'
+        : formatScaleRatio(getLocalPxPerYear(STATE.deepTimeStart));
+    section.innerHTML = `<span class="deep-time-label">Before Holocene Era · ${scaleText}</span>`;
+    return section;
+}
+
+/**
+ * Create a scale-break indicator where the track's proportion changes
+ * @param {number} year - Year in HE where the new scale begins
+ * @param {number} pxPerYear - Scale below the break
+ * @param {number} previousPxPerYear - Scale above the break
+ */
+function createScaleBreak(year, pxPerYear, previousPxPerYear) {
+    const marker = document.createElement('div');
+    marker.className = 'scale-break';
+    marker.classList.add(pxPerYear > previousPxPerYear ? 'expands' : 'compresses');
+    marker.style[axisStyle('top')] = yearToPixels(year) + 'px';
+    marker.innerHTML = `<span>Scale changes · ${formatScaleRatio(pxPerYear)}</span>`;
+    return marker;
+}
+
+/**
+ * Create a log-scale marker at a round number of years before present
+ * @param {number} yearsAgo - Years before present
+ * @param {number} present - Present year in HE
+ */
+function createLogMarker(yearsAgo, present) {
+    const year = present - yearsAgo;
+    let className = 'century-marker log-marker';
+    if (Number.isInteger(Math.log10(yearsAgo))) className += ' millennium';
+    if (year < 0) className += ' deep-time-marker';
+    return {
+        className,
+        px: yearToPixels(year),
+        label: `<span>${yearsAgo.toLocaleString()} ${yearsAgo === 1 ? 'year' : 'years'} ago · ${formatSingleYear(year)}</span>`
+    };
+}
+
+/**
+ * Build century/decade/year markers and scale breaks for the current time scale.
+ * Marker density follows the local px/yr of each segment:
+ * - Labeled markers every century (or a wider "nice" interval below minPxPerYear)
+ * - Decade ticks at >= 1 px/yr, labeled decade markers and year ticks above 10 px/yr
+ * In log mode, markers sit at 1/2/5 x 10^n years before present instead.
+ * @returns {object} { markers: marker descriptors sorted by px, breaks: DOM elements }
+ */
+function buildScaleMarkers(currentYear) {
+    const scale = getTimeScale();
+    const markers = [];
+    const breaks = [];
+    
+    if (scale.mode === 'log') {
+        const span = scale.present - STATE.deepTimeStart;
+        for (let magnitude = 1; magnitude <= span; magnitude *= 10) {
+            [1, 2, 5].forEach(step => {
+                const yearsAgo = step * magnitude;
+                if (yearsAgo <= span) {
+                    markers.push(createLogMarker(yearsAgo, scale.present));
+                }
+            });
+        }
+        markers.sort((a, b) => a.px - b.px);
+        return { markers, breaks };
+    }
+    
+    scale.segments.forEach((segment, i) => {
+        const isLast = i === scale.segments.length - 1;
+        const inSegment = (year) => year >= segment.start &&
+            (isLast ? year <= Math.min(segment.end, currentYear) : year < segment.end);
+        const pxPerYear = segment.pxPerYear;
+        
+        if (i > 0) {
+            breaks.push(createScaleBreak(segment.start, pxPerYear, scale.segments[i - 1].pxPerYear));
+        }
+        
+        // Labeled markers (BHE markers in deep time, HE century markers after 0 HE)
+        const interval = pxPerYear >= CONFIG.minPxPerYear
+            ? CONFIG.centuryInterval
+            : Math.max(CONFIG.centuryInterval, getNiceInterval(CONFIG.compressedMarkerSpacing / pxPerYear));
+        for (let year = Math.ceil(segment.start / interval) * interval; inSegment(year); year += interval) {
+            markers.push(year < 0 ? createDeepTimeMarker(year) : createCenturyMarker(year));
+        }
+        
+        // Decade and year ticks only exist inside the Holocene
+        if (segment.end <= 0) return;
+        const holoceneStart = Math.max(0, segment.start);
+        
+        // At high zoom (>10px/yr), show labeled decade markers
+        // At medium zoom (>=1px/yr), show ticks
+        // At low zoom (<1px/yr), hide decade ticks entirely
+        if (pxPerYear >= 1) {
+            const firstDecade = Math.ceil(holoceneStart / CONFIG.decadeInterval) * CONFIG.decadeInterval;
+            for (let year = firstDecade; inSegment(year); year += CONFIG.decadeInterval) {
+                if (year % CONFIG.centuryInterval !== 0) {
+                    markers.push(pxPerYear > 10 ? createDecadeMarker(year) : createDecadeTick(year));
+                }
+            }
+        }
+        
+        // At high zoom (>10px/yr), also show year ticks (skipping decades and centuries)
+        if (pxPerYear > 10) {
+            for (let year = Math.ceil(holoceneStart); inSegment(year); year++) {
+                if (year % CONFIG.decadeInterval !== 0) {
+                    markers.push(createYearTick(year));
+                }
+            }
+        }
     });
     
-    // Hover is handled globally by setupSmartHover()
-    
-    return range;
-}
-
-function createCenturyMarker(year) {
-    const marker = document.createElement('div');
-    marker.className = 'century-marker';
-    if (year % 1000 === 0) {
-        marker.classList.add('millennium');
-    }
-    marker.style.top = yearToPixels(year) + 'px';
-    marker.innerHTML = `<span>${year.toLocaleString()} HE</span>`;
-    return marker;
+    markers.sort((a, b) => a.px - b.px);
+    return { markers, breaks };
 }
 
 function createDecadeMarker(year) {
-    const marker = document.createElement('div');
-    marker.className = 'decade-marker';
-    marker.style.top = yearToPixels(year) + 'px';
-    marker.innerHTML = `<span>${year.toLocaleString()} HE</span>`;
-    return marker;
+    return {
+        className: 'decade-marker',
+        px: yearToPixels(year),
+        label: `<span>${formatMarkerYear(year)}</span>`
+    };
 }
 
 function createDecadeTick(year) {
-    const tick = document.createElement('div');
-    tick.className = 'decade-tick';
-    tick.style.top = yearToPixels(year) + 'px';
-    return tick;
+    return { className: 'decade-tick', px: yearToPixels(year), label: '' };
 }
 
 function createYearTick(year) {
-    const tick = document.createElement('div');
-    tick.className = 'year-tick';
-    tick.style.top = yearToPixels(year) + 'px';
-    return tick;
+    return { className: 'year-tick', px: yearToPixels(year), label: '' };
 }
 
 function createEvent(eventData, index) {
@@ -1570,7 +5591,7 @@ function createEvent(eventData, index) {
     // Use pre-assigned side from data loading
     const side = eventData.side || (index % 2 === 0 ? 'left' : 'right');
     event.className = `event ${side}`;
-    event.style.top = yearToPixels(eventData.year) + 'px';
+    event.style.top = yearToPixels(getEventPosition(eventData)) + 'px';
     
     // Base z-index is 9 (set via CSS), DOM order handles stacking
     const zIndex = 9;
@@ -1589,23 +5610,25 @@ function createEvent(eventData, index) {
     const yearLabel = formatYearDisplay(eventData);
     
     // Build source link if available
-    const sourceLink = eventData.source 
-        ? `<a href="${eventData.source}" target="_blank" rel="noopener noreferrer" class="event-source" style="color: ${textColor}">Learn more →</a>`
+    const sourceLink = isWebURL(eventData.source)
+        ? `<a href="${escapeHTML(eventData.source)}" target="_blank" rel="noopener noreferrer" class="event-source" style="color: ${textColor}">Learn more →</a>`
         : '';
     
     // Get category icons
     const categoryIcons = getCategoryIcons(eventData);
+    const datasetBadge = getDatasetBadge(eventData);
     
     event.innerHTML = `
         <div class="content" style="border-top: 5px solid ${borderColor}">
             <div class="connector" style="background: ${borderColor}"></div>
             <div class="event-dot" style="background: ${borderColor}; box-shadow: 0 0 0 1px ${borderColor}"></div>
             <div class="event-header">
-                <span class="event-title">${eventData.title}</span>
+                <span class="event-title">${escapeHTML(eventData.title)}</span>
             </div>
             <span class="event-year-text" style="color: ${textColor}">${yearLabel}</span>
-            <p class="event-desc">${eventData.desc || ''}</p>
+            <p class="event-desc">${escapeHTML(eventData.desc)}</p>
             <div class="event-footer">
+                ${datasetBadge}
                 ${categoryIcons}
                 ${sourceLink}
             </div>
@@ -2007,6 +6030,8 @@ function handleEventClick(eventEl, originalZIndex) {
             STATE.hoveredEvent.style.zIndex = '';
             STATE.hoveredEvent = null;
         }
+        updateRelationArcs();
+        scheduleURLUpdate();
         return;
     }
 
@@ -2045,6 +6070,8 @@ function handleEventClick(eventEl, originalZIndex) {
     if (!isNaN(eventYear)) {
         scrollToYear(eventYear);
     }
+    updateRelationArcs();
+    scheduleURLUpdate();
 }
 
 /**
@@ -2106,6 +6133,8 @@ function setupClickAwayUnlock() {
                     STATE.hoveredEvent.style.zIndex = '';
                     STATE.hoveredEvent = null;
                 }
+                updateRelationArcs();
+                scheduleURLUpdate();
                 return;
             }
 
@@ -2129,6 +6158,8 @@ function setupClickAwayUnlock() {
             STATE.hoveredEvent.style.zIndex = '';
             STATE.hoveredEvent = null;
         }
+        updateRelationArcs();
+        scheduleURLUpdate();
     }, true); // true = capturing phase
 }
 
@@ -2147,10 +6178,11 @@ function setupSmartHover() {
     let lastY = null;
 
     document.addEventListener('mousemove', (e) => {
-        // Determine direction of mouse movement
-        const movingDown = lastY !== null && e.clientY > lastY;
-        const movingUp = lastY !== null && e.clientY < lastY;
-        lastY = e.clientY;
+        // Determine direction of mouse movement along the time axis
+        const pointerY = isHorizontal() ? e.clientX : e.clientY;
+        const movingDown = lastY !== null && pointerY > lastY;
+        const movingUp = lastY !== null && pointerY < lastY;
+        lastY = pointerY;
 
         // Check if we're in hide-labels mode
         const hideLabelsMode = document.body.classList.contains('hide-labels');
@@ -2259,58 +6291,934 @@ function setupSmartHover() {
         // Determine which event to show based on direction
         let topmostEvent = null;
 
-        if (hoverCandidates.length === 1) {
-            // Only one event, show it
-            topmostEvent = hoverCandidates[0];
-        } else {
-            // Multiple events - pick based on movement direction
-            const currentIdx = STATE.hoveredEvent ? hoverCandidates.indexOf(STATE.hoveredEvent) : -1;
+        if (hoverCandidates.length === 1) {
+            // Only one event, show it
+            topmostEvent = hoverCandidates[0];
+        } else {
+            // Multiple events - pick based on movement direction
+            const currentIdx = STATE.hoveredEvent ? hoverCandidates.indexOf(STATE.hoveredEvent) : -1;
+
+            if (currentIdx === -1) {
+                // Not currently hovering any in this stack - show topmost (last in DOM)
+                topmostEvent = hoverCandidates[hoverCandidates.length - 1];
+            } else if (movingDown) {
+                // Moving down through timeline - go to next in DOM order (newer)
+                const nextIdx = Math.min(currentIdx + 1, hoverCandidates.length - 1);
+                topmostEvent = hoverCandidates[nextIdx];
+            } else if (movingUp) {
+                // Moving up through timeline - go to previous in DOM order (older)
+                const prevIdx = Math.max(currentIdx - 1, 0);
+                topmostEvent = hoverCandidates[prevIdx];
+            } else {
+                // No movement, keep current
+                topmostEvent = STATE.hoveredEvent;
+            }
+        }
+
+        // If same as current hover, do nothing
+        if (topmostEvent === STATE.hoveredEvent) return;
+
+        // Remove hover from previous (but not if it's the locked event)
+        if (STATE.hoveredEvent && STATE.hoveredEvent !== STATE.lockedEvent) {
+            STATE.hoveredEvent.classList.remove('hovered');
+            STATE.hoveredEvent.style.zIndex = '';
+        }
+
+        // Add hover to new
+        if (topmostEvent) {
+            topmostEvent.classList.add('hovered');
+            // Hovered events go ABOVE locked (z-index 500) so previews appear on top
+            topmostEvent.style.zIndex = 600;
+        }
+
+        STATE.hoveredEvent = topmostEvent;
+    });
+
+    // Clear hover when mouse leaves the document
+    document.addEventListener('mouseleave', () => {
+        if (STATE.hoveredEvent && STATE.hoveredEvent !== STATE.lockedEvent) {
+            STATE.hoveredEvent.classList.remove('hovered');
+            STATE.hoveredEvent.style.zIndex = '';
+            STATE.hoveredEvent = null;
+        }
+        lastY = null;
+    });
+}
+
+// ============ SWIMLANES ============
+
+/*
+ * The swimlane layout gives each region its own lane beside the year axis,
+ * all sharing the same time scale. Regions are defined per dataset ("regions",
+ * like "categories") and events list theirs in an optional "regions" field.
+ * - An event is drawn in the first of its regions that has a lane shown;
+ *   events without regions go to an "Other" lane
+ * - Hiding a lane in the sidebar picker hides the events drawn only there
+ * - Ages become bands behind the lanes of their regions (every lane when untagged)
+ * Category filters apply as on the single spine; scroll tracking is unchanged
+ * since lanes only move entries sideways.
+ */
+const SWIMLANE_CONFIG = {
+    otherLane: 'other',     // Lane id for events without a region
+    axisWidth: 70,          // Room right of the year axis before the first lane
+    minLaneWidth: 180,      // Narrower than this and lanes scroll sideways instead
+    maxLaneWidth: 360,
+    connectorWidth: 16,     // Dot-to-card gap inside a lane
+};
+
+const LAYOUTS = ['spine', 'swimlanes'];
+
+/**
+ * Lanes available for the loaded events: defined regions first (in dataset
+ * order), then regions events use without a definition, then "Other"
+ * @returns {object[]} { id, name, color }
+ */
+function getSwimlanes() {
+    const laneEvents = STATE.allEvents.filter(event => !event.isAge);
+    const used = new Set(laneEvents.flatMap(event => event.regions || []));
+    
+    const lanes = Object.entries(STATE.regions)
+        .filter(([id]) => used.has(id))
+        .map(([id, region]) => ({ id, name: region.name || id, color: region.color }));
+    used.forEach(id => {
+        if (!STATE.regions[id]) lanes.push({ id, name: id });
+    });
+    if (laneEvents.some(event => !event.regions?.length)) {
+        lanes.push({ id: SWIMLANE_CONFIG.otherLane, name: 'Other' });
+    }
+    return lanes;
+}
+
+/**
+ * Lanes shown (not hidden in the picker)
+ * @returns {object[]}
+ */
+function getVisibleSwimlanes() {
+    return getSwimlanes().filter(lane => !STATE.hiddenLanes.has(lane.id));
+}
+
+/**
+ * Lane an event is drawn in
+ * @param {object} event
+ * @param {Set<string>} laneIds - Visible lane ids
+ * @returns {string|null} null when all of its lanes are hidden
+ */
+function getEventLane(event, laneIds) {
+    const regions = event.regions?.length ? event.regions : [SWIMLANE_CONFIG.otherLane];
+    return regions.find(id => laneIds.has(id)) ?? null;
+}
+
+/**
+ * Lane width that fits the lanes in the timeline container
+ * @param {number} count - Number of lanes
+ * @returns {number} Pixels
+ */
+function getLaneWidth(count) {
+    const container = document.querySelector('.timeline-container');
+    const track = document.getElementById('timelineTrack');
+    // Room right of the axis, less the container's right padding
+    const available = (container?.clientWidth || 0) - (track?.offsetLeft || 0) - SWIMLANE_CONFIG.axisWidth - 40;
+    const width = Math.floor(available / Math.max(1, count));
+    return Math.max(SWIMLANE_CONFIG.minLaneWidth, Math.min(SWIMLANE_CONFIG.maxLaneWidth, width));
+}
+
+/**
+ * Draw the lanes (with their age bands) on the track and place events in them
+ * @param {HTMLElement} track - Timeline track
+ * @param {object[]} events - Render data for the filtered events, in year order
+ * @returns {object[]} Render data for the events drawn in a lane (ages excluded)
+ */
+function placeInSwimlanes(track, events) {
+    const lanes = getVisibleSwimlanes();
+    const laneWidth = getLaneWidth(lanes.length);
+    const offsets = new Map(lanes.map((lane, i) => [lane.id, SWIMLANE_CONFIG.axisWidth + i * laneWidth]));
+    track.style.setProperty('--lane-width', `${laneWidth}px`);
+    
+    const layer = document.createElement('div');
+    layer.className = 'track-layer swimlane-layer';
+    layer.setAttribute('aria-hidden', 'true');
+    
+    lanes.forEach(lane => {
+        const column = document.createElement('div');
+        column.className = 'swimlane';
+        column.style.left = `${offsets.get(lane.id)}px`;
+        column.style.width = `${laneWidth}px`;
+        if (lane.color) column.style.setProperty('--lane-color', lane.color);
+        column.innerHTML = `<span class="swimlane-label">${escapeHTML(lane.name)}</span>`;
+        
+        // Age bands: the lane's own ages plus the untagged ones
+        events
+            .filter(event => event.isAge && (!event.regions?.length || event.regions.includes(lane.id)))
+            .forEach(age => {
+                const color = getEventColor(age);
+                const band = document.createElement('div');
+                band.className = 'swimlane-age';
+                band.style.top = `${yearToPixels(getEventPosition(age))}px`;
+                band.style.height = `${yearToPixels(getEventEndPosition(age)) - yearToPixels(getEventPosition(age))}px`;
+                band.style.setProperty('--age-color', color.border);
+                band.style.setProperty('--age-bg', color.bg);
+                band.innerHTML = `<span class="swimlane-age-label">${escapeHTML(age.title)}</span>`;
+                column.appendChild(band);
+            });
+        
+        layer.appendChild(column);
+    });
+    track.appendChild(layer);
+    
+    const laneIds = new Set(offsets.keys());
+    return events
+        .filter(event => !event.isAge)
+        .map(event => ({ ...event, lane: getEventLane(event, laneIds) }))
+        .filter(event => event.lane !== null)
+        .map(event => ({ ...event, side: 'right', laneOffset: offsets.get(event.lane) }));
+}
+
+/**
+ * Switch between the single spine and region swimlanes (does not render)
+ * @param {string} layout - One of LAYOUTS
+ */
+function setLayout(layout) {
+    STATE.layout = LAYOUTS.includes(layout) ? layout : 'spine';
+    document.body.classList.toggle('swimlanes', STATE.layout === 'swimlanes');
+    const select = document.getElementById('layoutSelect');
+    if (select) select.value = STATE.layout;
+    buildLaneUI();
+}
+
+/**
+ * Build the lane picker from the loaded events' regions
+ */
+function buildLaneUI() {
+    const laneOptions = document.getElementById('laneOptions');
+    const laneActions = document.getElementById('laneActions');
+    const status = document.getElementById('laneStatus');
+    if (!laneOptions) return;
+    
+    const lanes = getSwimlanes();
+    const isSwimlanes = STATE.layout === 'swimlanes';
+    laneOptions.hidden = !isSwimlanes;
+    if (laneActions) laneActions.hidden = !isSwimlanes;
+    
+    laneOptions.innerHTML = '';
+    lanes.forEach(lane => {
+        const color = lane.color || DEFAULT_COLOR.text;
+        const shown = !STATE.hiddenLanes.has(lane.id);
+        
+        const label = document.createElement('label');
+        label.className = `filter-option${shown ? ' active' : ''}`;
+        label.style.setProperty('--filter-color', color);
+        label.style.setProperty('--filter-color-dim', hexToRgba(color, 0.4));
+        label.innerHTML = `
+            <input type="checkbox" data-lane="${escapeHTML(lane.id)}" role="switch"${shown ? ' checked' : ''}>
+            <span class="filter-option-text">
+                <span class="filter-option-label">${escapeHTML(lane.name)}</span>
+            </span>
+            <span class="filter-toggle" aria-hidden="true"></span>
+        `;
+        
+        const checkbox = label.querySelector('input');
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                STATE.hiddenLanes.delete(lane.id);
+            } else {
+                STATE.hiddenLanes.add(lane.id);
+            }
+            label.classList.toggle('active', checkbox.checked);
+            updateLaneStatus();
+            renderTimeline();
+        });
+        
+        laneOptions.appendChild(label);
+    });
+    
+    if (status) status.hidden = !isSwimlanes;
+    updateLaneStatus();
+}
+
+/**
+ * Show how many lanes are drawn under the lane picker
+ */
+function updateLaneStatus() {
+    const status = document.getElementById('laneStatus');
+    if (!status) return;
+    
+    const total = getSwimlanes().length;
+    const shown = getVisibleSwimlanes().length;
+    if (total === 0) {
+        status.textContent = 'No events loaded.';
+    } else if (shown === 0) {
+        status.textContent = 'No lanes shown - pick at least one region.';
+    } else {
+        status.textContent = `${shown} of ${total} lanes shown. Events tagged with several regions appear in the first one shown.`;
+    }
+}
+
+/**
+ * Setup the sidebar layout selector and lane picker
+ */
+function setupSwimlanes() {
+    const select = document.getElementById('layoutSelect');
+    const lanesAll = document.getElementById('lanesAll');
+    const lanesNone = document.getElementById('lanesNone');
+    
+    select?.addEventListener('change', () => {
+        setLayout(select.value);
+        renderTimeline();
+    });
+    
+    lanesAll?.addEventListener('click', () => {
+        STATE.hiddenLanes.clear();
+        buildLaneUI();
+        renderTimeline();
+    });
+    
+    lanesNone?.addEventListener('click', () => {
+        STATE.hiddenLanes = new Set(getSwimlanes().map(lane => lane.id));
+        buildLaneUI();
+        renderTimeline();
+    });
+    
+    // Lane widths follow the container
+    let resizeTimeout;
+    window.addEventListener('resize', () => {
+        if (STATE.layout !== 'swimlanes') return;
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(() => {
+            const track = document.getElementById('timelineTrack');
+            const laneWidth = `${getLaneWidth(getVisibleSwimlanes().length)}px`;
+            if (track && track.style.getPropertyValue('--lane-width') !== laneWidth) renderTimeline();
+        }, 250);
+    });
+}
+
+// ============ MAP PANEL ============
+
+/*
+ * A collapsible panel plots events with a "location" ({ lat, lon, name? }) on a
+ * bundled world outline (assets/world.svg, drawn with x = longitude and
+ * y = -latitude, so markers need no projection code). It follows the track:
+ * - Events on the track within half a viewport of the reference line get a
+ *   marker, fading out with distance; events without a location are left out
+ * - The hovered or locked card's marker is highlighted
+ * - Clicking a marker scrolls to the event and locks its card
+ * The outline is only fetched the first time the panel opens.
+ */
+const MAP_CONFIG = {
+    url: 'assets/world.svg',
+    markerRadius: 2.2,      // Map units (degrees)
+    highlightRadius: 3.6,
+    minOpacity: 0.2,        // Markers at the edge of the window
+};
+
+// Marker elements by event, and the world outline request (null until first opened)
+const mapMarkers = new Map();
+let mapLoad = null;
+
+/**
+ * Get an event's map position
+ * @param {object} event
+ * @returns {object|null} { lat, lon }, or null without a usable location
+ */
+function getEventLocation(event) {
+    const { lat, lon } = event.location || {};
+    if (typeof lat !== 'number' || typeof lon !== 'number') return null;
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { lat, lon };
+}
+
+/**
+ * Fetch the world outline into the panel (once)
+ * @returns {Promise<boolean>} False if it could not be loaded
+ */
+function loadWorldMap() {
+    if (mapLoad) return mapLoad;
+    
+    const view = document.getElementById('mapView');
+    mapLoad = fetch(MAP_CONFIG.url)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.text();
+        })
+        .then(svgText => {
+            view.innerHTML = svgText.replace(/<\?xml[^>]*\?>/, '');
+            const svg = view.querySelector('svg');
+            svg.setAttribute('aria-hidden', 'true');
+            const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            layer.id = 'mapMarkers';
+            svg.appendChild(layer);
+            return true;
+        })
+        .catch(error => {
+            console.error('Could not load the world map:', error);
+            mapLoad = null;
+            setMapCaption('The map could not be loaded.');
+            return false;
+        });
+    return mapLoad;
+}
+
+/**
+ * Set the line under the map
+ * @param {string} text
+ */
+function setMapCaption(text) {
+    const caption = document.getElementById('mapCaption');
+    if (caption) caption.textContent = text;
+}
+
+/**
+ * Update the markers for the events near the reference line
+ */
+function updateMapPanel() {
+    const panel = document.getElementById('mapPanel');
+    const layer = document.getElementById('mapMarkers');
+    if (!panel || panel.hidden || !layer || !virtualTrack) return;
+    
+    const referencePx = yearToPixels(getYearAtReference());
+    const reach = getViewportLength() / 2;
+    const highlighted = [STATE.lockedEvent, STATE.hoveredEvent]
+        .map(el => el?._timelineEntry?.data.original)
+        .find(Boolean);
+    
+    // Pixel distance from the reference line to each entry's extent (0 while it spans it)
+    const nearby = new Map();
+    virtualTrack.entries.forEach(entry => {
+        const event = entry.data.original;
+        const location = getEventLocation(event);
+        if (!location) return;
+        const distance = Math.max(0, entry.extentStartPx - referencePx, referencePx - entry.extentEndPx);
+        if (distance <= reach || event === highlighted) {
+            nearby.set(event, { location, closeness: Math.max(0, 1 - distance / reach) });
+        }
+    });
+    
+    // Drop markers that left the window
+    mapMarkers.forEach((marker, event) => {
+        if (nearby.has(event)) return;
+        marker.remove();
+        mapMarkers.delete(event);
+    });
+    
+    nearby.forEach(({ location, closeness }, event) => {
+        let marker = mapMarkers.get(event);
+        if (!marker) {
+            marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            marker.setAttribute('class', 'map-marker');
+            marker.setAttribute('cx', location.lon);
+            marker.setAttribute('cy', -location.lat);
+            marker.style.setProperty('--marker-color', getEventColor(event).border);
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = `${event.title} (${formatYearDisplay(event)})`;
+            marker.appendChild(title);
+            marker._mapEvent = event;
+            mapMarkers.set(event, marker);
+            layer.appendChild(marker);
+        }
+        const isHighlighted = event === highlighted;
+        marker.classList.toggle('is-highlighted', isHighlighted);
+        marker.setAttribute('r', isHighlighted ? MAP_CONFIG.highlightRadius : MAP_CONFIG.markerRadius);
+        marker.style.opacity = isHighlighted ? 1 : MAP_CONFIG.minOpacity + (1 - MAP_CONFIG.minOpacity) * closeness;
+    });
+    
+    // Highlighted marker on top
+    if (highlighted && mapMarkers.has(highlighted)) {
+        layer.appendChild(mapMarkers.get(highlighted));
+    }
+    
+    if (highlighted) {
+        const location = highlighted.location;
+        setMapCaption(getEventLocation(highlighted)
+            ? `${highlighted.title}${location.name ? ` · ${location.name}` : ''}`
+            : `${highlighted.title} has no location`);
+    } else {
+        setMapCaption(nearby.size
+            ? `${nearby.size} ${nearby.size === 1 ? 'place' : 'places'} near ${formatMarkerYear(getYearAtReference())}`
+            : 'No mapped events near here');
+    }
+}
+
+const scheduleMapUpdate = throttleRAF(updateMapPanel);
+
+/**
+ * Show or hide the map panel
+ * @param {boolean} open
+ */
+async function showMapPanel(open) {
+    const panel = document.getElementById('mapPanel');
+    if (!panel) return;
+    
+    panel.hidden = !open;
+    document.getElementById('toggleMap')?.setAttribute('aria-expanded', String(open));
+    if (open && await loadWorldMap()) updateMapPanel();
+}
+
+/**
+ * Open or collapse the map panel from its controls (remembered in preferences)
+ * @param {boolean} open
+ */
+function toggleMapPanel(open) {
+    showMapPanel(open);
+    savePreferences();
+}
+
+/**
+ * Setup the map panel toggle, marker clicks and updates while scrolling
+ */
+function setupMapPanel() {
+    const view = document.getElementById('mapView');
+    
+    document.getElementById('toggleMap')?.addEventListener('click', () => {
+        toggleMapPanel(document.getElementById('mapPanel')?.hidden === true);
+    });
+    document.getElementById('mapDismiss')?.addEventListener('click', () => toggleMapPanel(false));
+    
+    // Clicking a marker goes to its event (focusEvent keeps it locked if it already is)
+    view?.addEventListener('click', (e) => {
+        const event = e.target.closest('.map-marker')?._mapEvent;
+        if (event) focusEvent(event);
+    });
+    
+    // Follow scrolling, hover and locking (updates run on the next frame, after
+    // the click and key handlers have locked or unlocked a card)
+    window.addEventListener('scroll', scheduleMapUpdate);
+    window.addEventListener('resize', scheduleMapUpdate);
+    document.addEventListener('mousemove', scheduleMapUpdate);
+    document.addEventListener('click', scheduleMapUpdate, true);
+    document.addEventListener('keydown', scheduleMapUpdate, true);
+    
+    if (readPreferences()?.mapOpen) showMapPanel(true);
+}
+
+// ============ ORIENTATION ============
+
+/*
+ * The track runs top to bottom, or left to right for wide displays and
+ * projectors. Layout code is written for the vertical track and goes through
+ * these helpers for anything measured along time:
+ * - axisStyle() swaps inline style properties ('top' <-> 'left', 'height' <-> 'width')
+ * - getScrollPosition(), getViewportLength() and scrollToPosition() read and
+ *   scroll the page along time
+ * CSS (body.horizontal) puts 'left' cards above the track and 'right' cards below.
+ * Swimlanes are columns beside a vertical axis, so horizontal uses the single spine.
+ */
+const ORIENTATIONS = ['vertical', 'horizontal'];
+
+// Vertical style property -> the same property on a horizontal track
+const HORIZONTAL_STYLE_PROPS = {
+    top: 'left',
+    left: 'top',
+    bottom: 'right',
+    right: 'bottom',
+    height: 'width',
+    width: 'height',
+};
+
+/**
+ * Whether time runs left to right
+ * @returns {boolean}
+ */
+function isHorizontal() {
+    return STATE.orientation === 'horizontal';
+}
+
+/**
+ * Inline style property to use for a vertical-track property
+ * @param {string} prop - 'top', 'left', 'bottom', 'right', 'height' or 'width'
+ * @returns {string}
+ */
+function axisStyle(prop) {
+    return isHorizontal() ? HORIZONTAL_STYLE_PROPS[prop] : prop;
+}
+
+/**
+ * Page scroll along the time axis
+ * @returns {number} Pixels
+ */
+function getScrollPosition() {
+    return isHorizontal() ? window.scrollX : window.scrollY;
+}
+
+/**
+ * Viewport size along the time axis
+ * @returns {number} Pixels
+ */
+function getViewportLength() {
+    return isHorizontal() ? window.innerWidth : window.innerHeight;
+}
+
+/**
+ * Scroll the page along the time axis
+ * @param {number} position - Pixels from the start of the page
+ * @param {string} [behavior] - Scroll behavior (default: the CSS scroll-behavior)
+ */
+function scrollToPosition(position, behavior) {
+    window.scrollTo({ [isHorizontal() ? 'left' : 'top']: Math.max(0, position), behavior });
+}
+
+/**
+ * Switch between a vertical and a horizontal track (does not render)
+ * @param {string} orientation - One of ORIENTATIONS
+ */
+function setOrientation(orientation) {
+    STATE.orientation = ORIENTATIONS.includes(orientation) ? orientation : 'vertical';
+    document.body.classList.toggle('horizontal', isHorizontal());
+    const select = document.getElementById('orientationSelect');
+    if (select) select.value = STATE.orientation;
+    
+    if (isHorizontal() && STATE.layout !== 'spine') setLayout('spine');
+    const layoutSelect = document.getElementById('layoutSelect');
+    if (layoutSelect) layoutSelect.disabled = isHorizontal();
+}
+
+/**
+ * Setup the orientation selector, and wheel scrolling along a horizontal track
+ */
+function setupOrientation() {
+    const select = document.getElementById('orientationSelect');
+    
+    // Keep the year at the reference line while the track turns
+    select?.addEventListener('change', () => {
+        applyScaleChange(() => setOrientation(select.value));
+    });
+    
+    // Vertical wheels and trackpad swipes scroll time sideways over the timeline
+    document.addEventListener('wheel', (e) => {
+        if (!isHorizontal() || e.ctrlKey || Math.abs(e.deltaX) >= Math.abs(e.deltaY)) return;
+        if (!e.target.closest?.('.main-content')) return;
+        e.preventDefault();
+        const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? window.innerWidth : 1;
+        window.scrollBy({ left: e.deltaY * unit, behavior: 'instant' });
+    }, { passive: false });
+}
+
+// ============ MINIMAP ============
+
+/*
+ * A strip docked to the right edge (below the top bar on the horizontal track)
+ * shows the whole track compressed, in track proportions (so it follows the
+ * scale mode, deep time included):
+ * - Age bands from STATE.ageEvents on the inner side (hidden with the ages toggle)
+ * - Event density per slice of the track, split by category colour
+ * - A viewport frame that follows scrolling and can be dragged
+ * Clicking outside the frame jumps there. renderTimeline() redraws it, so
+ * filters, datasets and scale changes show up.
+ */
+const MINIMAP_CONFIG = {
+    length: 1000,           // viewBox units along the track (the SVG is stretched to fit)
+    bins: 200,              // Density slices
+    ageWidth: 30,           // Age column, of 100 viewBox units across the strip
+    gap: 4,                 // Between the age column and the density bars
+};
+
+/**
+ * Track length drawn on the minimap
+ * @returns {number} Pixels
+ */
+function getMinimapTrackLength() {
+    return Math.max(1, yearToPixels(getCurrentHoloceneYear()));
+}
+
+/**
+ * Draw the age bands and event density for the filtered events
+ */
+function renderMinimap() {
+    const map = document.getElementById('minimapMap');
+    if (!map) return;
+    
+    const { length, bins, ageWidth, gap } = MINIMAP_CONFIG;
+    const trackLength = getMinimapTrackLength();
+    const toPosition = (year) => Math.max(0, Math.min(length, (yearToPixels(year) / trackLength) * length));
+    const binLength = length / bins;
+    
+    // Rect attributes from a position and size along the track and across the strip
+    const horizontal = isHorizontal();
+    const place = (along, across, alongSize, acrossSize) => horizontal
+        ? `x="${along}" y="${across}" width="${alongSize}" height="${acrossSize}"`
+        : `x="${across}" y="${along}" width="${acrossSize}" height="${alongSize}"`;
+    map.setAttribute('viewBox', horizontal ? `0 0 ${length} 100` : `0 0 100 ${length}`);
+    
+    const ages = STATE.ageEvents.filter(eventPassesFilter).map(age => {
+        const start = toPosition(getEventPosition(age));
+        const ageLength = Math.max(binLength, toPosition(getEventEndPosition(age)) - start);
+        return `<rect class="minimap-age" ${place(start, 0, ageLength, ageWidth)} fill="${getEventColor(age).border}"><title>${escapeHTML(age.title)}</title></rect>`;
+    });
+    
+    // Count events per slice and colour
+    const { pointEvents, rangeEvents } = getFilteredEvents();
+    const slices = Array.from({ length: bins }, () => new Map());
+    [...pointEvents, ...rangeEvents.filter(event => !event.isAge)].forEach(event => {
+        const slice = slices[Math.min(bins - 1, Math.floor(toPosition(getEventPosition(event)) / binLength))];
+        const color = getEventColor(event).border;
+        slice.set(color, (slice.get(color) || 0) + 1);
+    });
+    
+    // Bar length grows with the square root of the count so sparse slices stay visible
+    const totals = slices.map(slice => [...slice.values()].reduce((sum, count) => sum + count, 0));
+    const maxTotal = Math.max(1, ...totals);
+    const barStart = ageWidth + gap;
+    const strips = [];
+    slices.forEach((slice, i) => {
+        if (totals[i] === 0) return;
+        const barLength = (100 - barStart) * Math.sqrt(totals[i] / maxTotal);
+        let across = barStart;
+        slice.forEach((count, color) => {
+            const size = barLength * count / totals[i];
+            strips.push(`<rect ${place(i * binLength, across, binLength, size)} fill="${color}"/>`);
+            across += size;
+        });
+    });
+    
+    map.innerHTML = `<g class="minimap-ages">${ages.join('')}</g><g class="minimap-density">${strips.join('')}</g>`;
+    updateMinimapViewport();
+}
+
+/**
+ * Move the viewport frame to the part of the track on screen
+ */
+function updateMinimapViewport() {
+    const frame = document.getElementById('minimapViewport');
+    if (!frame) return;
+    
+    const trackLength = getMinimapTrackLength();
+    const start = (getScrollPosition() - getTrackOffset()) / trackLength;
+    const end = start + getViewportLength() / trackLength;
+    const from = Math.max(0, Math.min(1, start));
+    frame.style[axisStyle('left')] = '';
+    frame.style[axisStyle('width')] = '';
+    frame.style[axisStyle('top')] = `${from * 100}%`;
+    frame.style[axisStyle('height')] = `${(Math.max(from, Math.min(1, end)) - from) * 100}%`;
+}
 
-            if (currentIdx === -1) {
-                // Not currently hovering any in this stack - show topmost (last in DOM)
-                topmostEvent = hoverCandidates[hoverCandidates.length - 1];
-            } else if (movingDown) {
-                // Moving down through timeline - go to next in DOM order (newer)
-                const nextIdx = Math.min(currentIdx + 1, hoverCandidates.length - 1);
-                topmostEvent = hoverCandidates[nextIdx];
-            } else if (movingUp) {
-                // Moving up through timeline - go to previous in DOM order (older)
-                const prevIdx = Math.max(currentIdx - 1, 0);
-                topmostEvent = hoverCandidates[prevIdx];
-            } else {
-                // No movement, keep current
-                topmostEvent = STATE.hoveredEvent;
-            }
-        }
+/**
+ * Setup click-to-jump and dragging the viewport frame
+ */
+function setupMinimap() {
+    const minimap = document.getElementById('minimap');
+    const frame = document.getElementById('minimapViewport');
+    if (!minimap || !frame) return;
+    
+    // Pointer position along the strip, and the fraction of the track there
+    const getPointerPosition = (e) => isHorizontal() ? e.clientX : e.clientY;
+    const getTrackFraction = (position) => {
+        const rect = minimap.getBoundingClientRect();
+        const size = rect[axisStyle('height')];
+        return size > 0 ? (position - rect[axisStyle('top')]) / size : 0;
+    };
+    
+    minimap.addEventListener('click', (e) => {
+        if (frame.contains(e.target)) return;
+        const fraction = Math.max(0, Math.min(1, getTrackFraction(getPointerPosition(e))));
+        jumpToYear(pixelsToYear(fraction * getMinimapTrackLength()));
+    });
+    
+    // Dragging scrolls so the frame stays under the pointer where it was grabbed
+    let grabOffset = null;
+    frame.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        grabOffset = getPointerPosition(e) - frame.getBoundingClientRect()[axisStyle('top')];
+        frame.setPointerCapture?.(e.pointerId);
+        frame.classList.add('dragging');
+    });
+    frame.addEventListener('pointermove', (e) => {
+        if (grabOffset === null) return;
+        const fraction = getTrackFraction(getPointerPosition(e) - grabOffset);
+        scrollToPosition(getTrackOffset() + fraction * getMinimapTrackLength(), 'instant');
+    });
+    const endDrag = () => {
+        grabOffset = null;
+        frame.classList.remove('dragging');
+    };
+    frame.addEventListener('pointerup', endDrag);
+    frame.addEventListener('pointercancel', endDrag);
+    
+    const scheduleViewportUpdate = throttleRAF(updateMinimapViewport);
+    window.addEventListener('scroll', scheduleViewportUpdate);
+    window.addEventListener('resize', scheduleViewportUpdate);
+}
 
-        // If same as current hover, do nothing
-        if (topmostEvent === STATE.hoveredEvent) return;
+// ============ RELATIONSHIPS ============
+
+/*
+ * Events can have a stable "id" and list related events in "related":
+ * [{ "id": "...", "type": "causes" | "part-of" | "contemporaneous" | "see-also" }].
+ * Relations read both ways: an event listed by another shows the inverse
+ * ("Caused by", "Includes"), so each link only needs to be written once.
+ * - Cards list their related events as links that lock the target's card
+ * - The locked card's relations are drawn as arcs between the dots, bulging
+ *   away from the card, with an arrowhead for directed types
+ * Targets that are filtered out are listed but get no arc.
+ */
+const RELATION_CONFIG = {
+    minBulge: 40,           // Pixels from the axis at the apex of a short arc
+    maxBulge: 220,
+    bulgePerPx: 0.15,       // Extra bulge per pixel between the two dots
+};
 
-        // Remove hover from previous (but not if it's the locked event)
-        if (STATE.hoveredEvent && STATE.hoveredEvent !== STATE.lockedEvent) {
-            STATE.hoveredEvent.classList.remove('hovered');
-            STATE.hoveredEvent.style.zIndex = '';
-        }
+// Missing relation targets already reported, so re-merging does not repeat them
+const reportedRelationIssues = new Set();
 
-        // Add hover to new
-        if (topmostEvent) {
-            topmostEvent.classList.add('hovered');
-            // Hovered events go ABOVE locked (z-index 500) so previews appear on top
-            topmostEvent.style.zIndex = 600;
-        }
+/**
+ * Find an event in STATE.allEvents by id
+ * @param {string} id
+ * @returns {object|null}
+ */
+function findEventById(id) {
+    return STATE.allEvents.find(event => event.id === id) || null;
+}
 
-        STATE.hoveredEvent = topmostEvent;
+/**
+ * Warn about relations whose id matches no loaded event
+ */
+function reportMissingRelations() {
+    const ids = new Set(STATE.allEvents.map(event => event.id).filter(Boolean));
+    const issues = [];
+    STATE.allEvents.forEach(event => {
+        (Array.isArray(event.related) ? event.related : []).forEach(relation => {
+            if (typeof relation?.id !== 'string' || ids.has(relation.id)) return;
+            const key = `${event.sourceDataset}|${event.title}|${relation.id}`;
+            if (reportedRelationIssues.has(key)) return;
+            reportedRelationIssues.add(key);
+            issues.push({
+                severity: 'warning',
+                dataset: event.sourceDataset,
+                event: event.title,
+                message: `related id "${relation.id}" matches no loaded event`,
+                index: null,
+            });
+        });
     });
+    reportDatasetIssues(issues);
+}
 
-    // Clear hover when mouse leaves the document
-    document.addEventListener('mouseleave', () => {
-        if (STATE.hoveredEvent && STATE.hoveredEvent !== STATE.lockedEvent) {
-            STATE.hoveredEvent.classList.remove('hovered');
-            STATE.hoveredEvent.style.zIndex = '';
-            STATE.hoveredEvent = null;
+/**
+ * Relations of an event in both directions (one per related event; its own
+ * listing wins over another event's)
+ * @param {object} event - Event from STATE.allEvents
+ * @returns {object[]} { type, label, event, outgoing }
+ */
+function getEventRelations(event) {
+    const relations = [];
+    const seen = new Set([event]);
+    const add = (type, target, outgoing) => {
+        if (!RELATION_TYPES[type] || !target || seen.has(target)) return;
+        seen.add(target);
+        const { label, inverse } = RELATION_TYPES[type];
+        relations.push({ type, label: outgoing ? label : inverse, event: target, outgoing });
+    };
+    
+    (Array.isArray(event.related) ? event.related : [])
+        .forEach(relation => add(relation?.type, findEventById(relation?.id), true));
+    if (event.id) {
+        STATE.allEvents.forEach(other => {
+            (Array.isArray(other.related) ? other.related : [])
+                .filter(relation => relation?.id === event.id)
+                .forEach(relation => add(relation.type, other, false));
+        });
+    }
+    return relations;
+}
+
+/**
+ * Related events list for a card
+ * @param {object} event - Event from STATE.allEvents
+ * @returns {string} HTML (empty without relations)
+ */
+function getRelatedLinksHTML(event) {
+    const relations = getEventRelations(event);
+    if (relations.length === 0) return '';
+    
+    const items = relations.map(relation => `
+        <li>
+            <span class="event-related-type">${escapeHTML(relation.label)}</span>
+            <button type="button" class="event-related-link" data-event-key="${escapeHTML(getEventKey(relation.event))}"
+                style="color: ${getEventColor(relation.event).text}">${escapeHTML(relation.event.title)}</button>
+        </li>
+    `).join('');
+    return `<ul class="event-related" aria-label="Related events">${items}</ul>`;
+}
+
+/**
+ * Lock a related event's card, or just go to its year if it is filtered out
+ * @param {string} key - From getEventKey()
+ */
+function goToRelatedEvent(key) {
+    const event = findEventByKey(key);
+    if (!event) return;
+    if (!focusEvent(event)) jumpToYear(getEventPosition(event));
+}
+
+/**
+ * Draw arcs from the locked entry to its related entries (removes them when
+ * nothing is locked)
+ */
+function updateRelationArcs() {
+    const track = document.getElementById('timelineTrack');
+    track?.querySelector('.relation-layer')?.remove();
+    
+    const lockedEntry = STATE.lockedEvent?._timelineEntry;
+    if (!track || !virtualTrack || !lockedEntry) return;
+    
+    const arcs = getEventRelations(lockedEntry.data.original)
+        .map(relation => ({ ...relation, entry: findEntryForEvent(relation.event) }))
+        .filter(relation => relation.entry);
+    if (arcs.length === 0) return;
+    
+    // Dots as (along the time axis, across it) from the track's origin
+    const dotPoint = entry => ({ along: entry.startPx, across: (entry.data.laneOffset || 0) + 1 });
+    const toXY = (along, across) => isHorizontal() ? `${along} ${across}` : `${across} ${along}`;
+    const awayFromCard = lockedEntry.side === 'left' ? 1 : -1;
+    
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const layer = document.createElementNS(svgNS, 'svg');
+    layer.setAttribute('class', 'track-layer relation-layer');
+    layer.setAttribute('aria-hidden', 'true');
+    const defs = document.createElementNS(svgNS, 'defs');
+    layer.appendChild(defs);
+    
+    const locked = dotPoint(lockedEntry);
+    arcs.forEach((relation, i) => {
+        const other = dotPoint(relation.entry);
+        const [from, to] = relation.outgoing ? [locked, other] : [other, locked];
+        const distance = Math.abs(to.along - from.along);
+        const bulge = awayFromCard * Math.min(RELATION_CONFIG.maxBulge,
+            RELATION_CONFIG.minBulge + distance * RELATION_CONFIG.bulgePerPx);
+        const color = getEventColor(relation.event).border;
+        const group = document.createElementNS(svgNS, 'g');
+        group.setAttribute('class', `relation-arc-group is-${relation.type}`);
+        group.style.setProperty('--relation-color', color);
+        
+        const path = document.createElementNS(svgNS, 'path');
+        path.setAttribute('class', 'relation-arc');
+        path.setAttribute('d', `M ${toXY(from.along, from.across)} ` +
+            `C ${toXY(from.along, from.across + bulge)}, ${toXY(to.along, to.across + bulge)}, ${toXY(to.along, to.across)}`);
+        if (RELATION_TYPES[relation.type].directed) {
+            const marker = document.createElementNS(svgNS, 'marker');
+            marker.id = `relationArrow${i}`;
+            marker.setAttribute('viewBox', '0 0 10 10');
+            marker.setAttribute('refX', '9');
+            marker.setAttribute('refY', '5');
+            marker.setAttribute('markerWidth', '7');
+            marker.setAttribute('markerHeight', '7');
+            marker.setAttribute('orient', 'auto');
+            marker.innerHTML = `<path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/>`;
+            defs.appendChild(marker);
+            path.setAttribute('marker-end', `url(#${marker.id})`);
         }
-        lastY = null;
+        group.appendChild(path);
+        
+        // Label at the apex (a symmetric cubic reaches 3/4 of its bulge there)
+        const label = document.createElementNS(svgNS, 'text');
+        label.setAttribute('class', 'relation-label');
+        const [x, y] = toXY((from.along + to.along) / 2, (from.across + to.across) / 2 + bulge * 0.75).split(' ');
+        label.setAttribute('x', x);
+        label.setAttribute('y', y);
+        label.textContent = relation.label;
+        group.appendChild(label);
+        
+        layer.appendChild(group);
     });
+    
+    track.insertBefore(layer, virtualTrack.entryLayer);
 }
 
 // ============ MAIN RENDER ============
@@ -2325,24 +7233,27 @@ function renderTimeline() {
     
     track.innerHTML = '';
     resetChannels(); // Reset channel assignments for range events
+    invalidateTimeScale(); // Pick up scale, mode or deep-time changes
     
     const currentYear = getCurrentHoloceneYear();
     
-    // Set track height to current year
+    // Set track height to current year (width when horizontal; clear the other orientation's)
     const totalHeight = yearToPixels(currentYear);
-    track.style.height = totalHeight + 'px';
+    track.style.removeProperty(axisStyle('width'));
+    track.style[axisStyle('height')] = totalHeight + 'px';
     
     // Add bottom padding to container so we can scroll the last year to the reference point
     // Padding = viewport height - reference point position
     // Reference point is at min(50% viewport, trackOffset), so max padding needed is 50% viewport
     if (container) {
-        container.style.paddingBottom = '50vh';
+        container.style.paddingBottom = isHorizontal() ? '' : '50vh';
+        container.style.paddingRight = isHorizontal() ? '50vw' : '';
     }
     
     // Update scale display
     const scaleDisplay = document.getElementById('scaleDisplay');
     if (scaleDisplay) {
-        scaleDisplay.textContent = `100 years = ${Math.round(CONFIG.pxPerYear * 100)} pixels`;
+        scaleDisplay.textContent = getScaleDescription();
     }
     
     // Update scale slider
@@ -2361,55 +7272,30 @@ function renderTimeline() {
         scaleInput.value = CONFIG.pxPerYear;
     }
     
-    // Create century markers up to current year
-    for (let year = 0; year <= currentYear; year += CONFIG.centuryInterval) {
-        track.appendChild(createCenturyMarker(year));
+    // Deep-time (BHE) section above 0 HE
+    if (STATE.deepTimeStart < 0) {
+        track.appendChild(createDeepTimeSection());
     }
     
+    // Century/decade/year markers (virtualized) and scale breaks for the active scale mode
+    const { markers, breaks } = buildScaleMarkers(currentYear);
+    breaks.forEach(scaleBreak => track.appendChild(scaleBreak));
+    
     // Add "Today" marker at current year (styled like millennium)
     const todayMarker = document.createElement('div');
     todayMarker.className = 'century-marker millennium today-marker';
-    todayMarker.style.top = yearToPixels(currentYear) + 'px';
+    todayMarker.style[axisStyle('top')] = yearToPixels(currentYear) + 'px';
     todayMarker.innerHTML = `<span>${currentYear.toLocaleString()} HE</span>`;
     track.appendChild(todayMarker);
     
-    // Create decade markers/ticks (skip centuries)
-    // At high zoom (>10px/yr), show labeled decade markers
-    // At medium zoom (>=1px/yr), show ticks
-    // At low zoom (<1px/yr), hide decade ticks entirely
-    const useDecadeMarkers = CONFIG.pxPerYear > 10;
-    const showDecadeTicks = CONFIG.pxPerYear >= 1;
-    
-    if (showDecadeTicks) {
-        for (let year = CONFIG.decadeInterval; year <= currentYear; year += CONFIG.decadeInterval) {
-            if (year % CONFIG.centuryInterval !== 0) {
-                if (useDecadeMarkers) {
-                    track.appendChild(createDecadeMarker(year));
-                } else {
-                    track.appendChild(createDecadeTick(year));
-                }
-            }
-        }
-    }
-    
-    // At high zoom (>10px/yr), also show year ticks
-    if (CONFIG.pxPerYear > 10) {
-        for (let year = 1; year <= currentYear; year++) {
-            // Skip decades and centuries
-            if (year % CONFIG.decadeInterval !== 0) {
-                track.appendChild(createYearTick(year));
-            }
-        }
-    }
-    
     // Create all events together (point + range) for proper alternation
     // Sort by start year since all events (including ranges) display at start position
     // Use filtered events
     const { pointEvents, rangeEvents } = getFilteredEvents();
     
     const allEventsForRender = [
-        ...pointEvents.map(e => ({ ...e, isRange: false, sortYear: e.year })),
-        ...rangeEvents.map(e => ({ ...e, isRange: true, sortYear: e.year }))
+        ...pointEvents.map(e => ({ ...e, isRange: false, sortYear: getEventPosition(e), original: e })),
+        ...rangeEvents.map(e => ({ ...e, isRange: true, sortYear: getEventPosition(e), original: e }))
     ].sort((a, b) => a.sortYear - b.sortYear);
     
     const maxDuration = rangeEvents.length > 0 
@@ -2430,32 +7316,438 @@ function renderTimeline() {
     // Set to false to use legacy nested architecture
     const USE_NEW_ARCHITECTURE = true;
 
-    allEventsForRender.forEach((eventData, index) => {
-        let eventEl;
+    // Swimlane layout: events move into their region's lane, ages become lane bands
+    // (setOrientation() keeps the horizontal track on the single spine)
+    const laidOutEvents = STATE.layout === 'swimlanes'
+        ? placeInSwimlanes(track, allEventsForRender)
+        : allEventsForRender;
 
+    // Build entries up front (channels need every range), but create DOM lazily
+    const entries = laidOutEvents.map((eventData, index) => {
         if (USE_NEW_ARCHITECTURE) {
             // New architecture: TimelineEntry class with sibling elements
             const entry = new TimelineEntry(eventData, index);
             entry.assignChannel(); // Assign channel before render
-            eventEl = entry.render();
-        } else {
-            // Legacy architecture: nested elements
-            if (eventData.isRange) {
-                eventEl = createRangeBar(eventData, index, maxDuration);
-            } else {
-                eventEl = createEvent(eventData, index);
+            return entry;
+        }
+
+        // Legacy architecture: nested elements, wrapped to match the TimelineEntry interface
+        return {
+            data: eventData,
+            index,
+            startPx: yearToPixels(getEventPosition(eventData)),
+            endPx: eventData.isRange ? yearToPixels(getEventEndPosition(eventData)) : yearToPixels(getEventPosition(eventData)),
+            container: null,
+            render() {
+                this.container = eventData.isRange
+                    ? createRangeBar(eventData, index, maxDuration)
+                    : createEvent(eventData, index);
+                // Auto-nudge collapsed cards into viewport on mobile (legacy only)
+                requestAnimationFrame(() => {
+                    autoNudgeCollapsedCard(this.container);
+                });
+                return this.container;
             }
+        };
+    });
+
+    resetVirtualTrack(track, markers, entries);
+    updateVirtualWindow();
+    renderMinimap();
+    scheduleURLUpdate();
+}
+
+// ============ VIRTUALIZED TRACK ============
+/*
+ * Only markers and entries near the viewport live in the DOM.
+ * renderTimeline() builds the model - marker descriptors and TimelineEntry
+ * instances with channels already assigned - and updateVirtualWindow() (run on
+ * scroll/resize) materializes whatever overlaps the viewport +/- CONFIG.renderOverscan.
+ *
+ * - Marker nodes leaving the window go back to a pool and are reused for new markers
+ * - Entry nodes stay on their TimelineEntry and are re-attached in index order
+ *   (DOM order = stacking order) when they scroll back into range
+ * - The locked and hovered entries are never released
+ */
+let virtualTrack = null;
+
+function resetVirtualTrack(track, markers, entries) {
+    const markerLayer = document.createElement('div');
+    markerLayer.className = 'track-layer marker-layer';
+    markerLayer.setAttribute('aria-hidden', 'true');
+    const entryLayer = document.createElement('div');
+    entryLayer.className = 'track-layer entry-layer';
+    entryLayer.setAttribute('role', 'list');
+    entryLayer.setAttribute('aria-label', `${entries.length} events, earliest first`);
+    track.appendChild(markerLayer);
+    track.appendChild(entryLayer);
+
+    virtualTrack = {
+        markerLayer,
+        entryLayer,
+        markers,                   // Marker descriptors sorted by px
+        entries,                   // TimelineEntry instances in index (year) order
+        markerNodes: new Map(),    // Marker index -> attached node
+        markerPool: [],            // Detached marker nodes ready for reuse
+        attached: new Set(),       // Entries currently in the DOM
+    };
+}
+
+/**
+ * Track-space window (pixels from track top) that should be materialized
+ * @returns {object} { start, end }
+ */
+function getVirtualWindow() {
+    const trackOffset = getTrackOffset();
+    const scrollPosition = getScrollPosition();
+    return {
+        start: scrollPosition - trackOffset - CONFIG.renderOverscan,
+        end: scrollPosition + getViewportLength() - trackOffset + CONFIG.renderOverscan
+    };
+}
+
+/**
+ * Index of the first marker at or after a pixel position (binary search)
+ */
+function findFirstMarkerIndex(markers, px) {
+    let low = 0;
+    let high = markers.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (markers[mid].px < px) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+function updateVirtualWindow() {
+    if (!virtualTrack) return;
+    const { start, end } = getVirtualWindow();
+    const { markers, markerNodes, markerPool, markerLayer, entries, attached } = virtualTrack;
+
+    // Markers: release nodes outside the window, then fill the window from the pool
+    const first = findFirstMarkerIndex(markers, start);
+    let last = first - 1;
+    while (last + 1 < markers.length && markers[last + 1].px <= end) last++;
+
+    markerNodes.forEach((node, index) => {
+        if (index < first || index > last) {
+            node.remove();
+            markerPool.push(node);
+            markerNodes.delete(index);
         }
+    });
 
-        track.appendChild(eventEl);
+    for (let i = first; i <= last; i++) {
+        if (markerNodes.has(i)) continue;
+        const marker = markers[i];
+        const node = markerPool.pop() || document.createElement('div');
+        node.className = marker.className;
+        node.style[axisStyle('top')] = `${marker.px}px`;
+        if (node._label !== marker.label) {
+            node.innerHTML = marker.label;
+            node._label = marker.label;
+        }
+        markerLayer.appendChild(node);
+        markerNodes.set(i, node);
+    }
 
-        // Auto-nudge collapsed cards into viewport on mobile (legacy only)
-        if (!USE_NEW_ARCHITECTURE) {
-            requestAnimationFrame(() => {
-                autoNudgeCollapsedCard(eventEl);
-            });
+    // Entries: walk backwards so each attach knows the next attached sibling
+    let nextAttached = null;
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i];
+        const inWindow = entry.extentEndPx + CONFIG.entryExtent >= start &&
+                         entry.extentStartPx - CONFIG.entryExtent <= end;
+        const isPinned = entry.container &&
+            (entry.container === STATE.lockedEvent || entry.container === STATE.hoveredEvent);
+
+        if (inWindow || isPinned) {
+            attachEntry(entry, nextAttached);
+            nextAttached = entry.container;
+        } else if (attached.has(entry)) {
+            entry.container.remove();
+            attached.delete(entry);
         }
+    }
+}
+
+/**
+ * Put an entry's element in the DOM (creating it on first use)
+ * @param {TimelineEntry} entry
+ * @param {HTMLElement|null} before - Next attached entry element, to keep index order
+ */
+function attachEntry(entry, before = null) {
+    if (virtualTrack.attached.has(entry)) return;
+    const el = entry.container || entry.render();
+    el.setAttribute('role', 'listitem');
+    el.setAttribute('aria-posinset', entry.index + 1);
+    el.setAttribute('aria-setsize', virtualTrack.entries.length);
+    virtualTrack.entryLayer.insertBefore(el, before);
+    virtualTrack.attached.add(entry);
+}
+
+/**
+ * Make sure an entry is in the DOM even if it is outside the current window
+ * (e.g. before locking it from search or keyboard navigation)
+ * @param {TimelineEntry} entry
+ * @returns {HTMLElement} The entry's container element
+ */
+function materializeEntry(entry) {
+    if (!virtualTrack.attached.has(entry)) {
+        const next = virtualTrack.entries
+            .slice(entry.index + 1)
+            .find(candidate => virtualTrack.attached.has(candidate));
+        attachEntry(entry, next ? next.container : null);
+    }
+    return entry.container;
+}
+
+/**
+ * Find the rendered entry for an event from STATE.allEvents
+ * @param {object} event - Original (unfiltered) event object
+ * @returns {TimelineEntry|null} Entry, or null if the event is filtered out
+ */
+function findEntryForEvent(event) {
+    if (!virtualTrack) return null;
+    return virtualTrack.entries.find(entry => entry.data.original === event) || null;
+}
+
+/**
+ * Scroll to an event and lock its card, the same way a click would
+ * @param {object} event - Original event object from STATE.allEvents
+ * @returns {boolean} False if the event is not on the track (filtered out)
+ */
+function focusEvent(event) {
+    const entry = findEntryForEvent(event);
+    if (!entry) return false;
+
+    const el = materializeEntry(entry);
+    if (STATE.lockedEvent !== el) {
+        handleEventClick(el, 9);
+    }
+    scrollToYear(event.year, { center: true });
+    return true;
+}
+
+// ============ ACCESSIBILITY ============
+
+/*
+ * The entry layer is a list of events in date order (only the entries near the
+ * viewport are in the DOM, so each carries aria-posinset/aria-setsize). Cards are
+ * focusable articles named by their title and date; Enter or Space locks them.
+ * A polite live region names the century at the reference line once scrolling
+ * settles. Smooth scrolling and animations are dropped under prefers-reduced-motion.
+ */
+
+// Last century announced, and the pending announcement
+let announcedRegion = '';
+let announceTimer = null;
+
+/**
+ * Whether the user asked the system for reduced motion
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches === true;
+}
+
+/**
+ * Scroll behavior for navigation (instant under reduced motion)
+ * @returns {string} 'smooth' or 'instant'
+ */
+function getScrollBehavior() {
+    return prefersReducedMotion() ? 'instant' : 'smooth';
+}
+
+/**
+ * Describe the stretch of time around a year for the live region:
+ * "11,900s HE, 1900 CE to 1999 CE", or "Around 3,100,000 BHE" before the Holocene
+ * @param {number} year - Year in HE
+ * @returns {string}
+ */
+function getCenturyLabel(year) {
+    if (year < 0) {
+        // Deep time scrolls past centuries too quickly to name - round to two figures
+        const magnitude = 10 ** Math.max(2, Math.floor(Math.log10(-year)) - 1);
+        return `Around ${formatSingleYear(Math.floor(year / magnitude) * magnitude)}`;
+    }
+    const century = Math.floor(year / 100) * 100;
+    return `${century.toLocaleString()}s HE, ${formatCEYear(century)} to ${formatCEYear(century + 99)}`;
+}
+
+/**
+ * Announce the century at the reference line once it has stayed put briefly
+ * @param {number} year - Year in HE at the reference line
+ */
+function announceCentury(year) {
+    const label = getCenturyLabel(year);
+    clearTimeout(announceTimer);
+    if (label === announcedRegion) return;
+    
+    announceTimer = setTimeout(() => {
+        const region = document.getElementById('centuryAnnouncer');
+        if (!region) return;
+        announcedRegion = label;
+        region.textContent = label;
+    }, 600);
+}
+
+// ============ KEYBOARD NAVIGATION ============
+
+/*
+ * Single-key shortcuts (ignored while typing in a field or with Ctrl/Alt/Cmd held).
+ * Event steps lock the next card through focusEvent(), i.e. the same
+ * handleEventClick() path a click takes. "?" lists the shortcuts.
+ */
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['j', 'ArrowDown'], label: 'Next event', action: () => stepEvent(1) },
+    { keys: ['k', 'ArrowUp'], label: 'Previous event', action: () => stepEvent(-1) },
+    { keys: [']'], label: 'Next century', action: () => stepInterval(100, 1) },
+    { keys: ['['], label: 'Previous century', action: () => stepInterval(100, -1) },
+    { keys: ['}'], label: 'Next millennium', action: () => stepInterval(1000, 1) },
+    { keys: ['{'], label: 'Previous millennium', action: () => stepInterval(1000, -1) },
+    { keys: ['t', 'End'], label: 'Jump to today', action: () => jumpToToday() },
+    { keys: ['b', 'Home'], label: 'Jump to the beginning', action: () => jumpToBeginning() },
+    { keys: ['+', '='], label: 'Zoom in', action: () => zoomBy(1.25) },
+    { keys: ['-'], label: 'Zoom out', action: () => zoomBy(1 / 1.25) },
+    { keys: ['l'], label: 'Toggle labels', action: () => toggleCheckbox('showLabelsToggle') },
+    { keys: ['r'], label: 'Toggle ranges', action: () => toggleCheckbox('showRangesToggle') },
+    { keys: ['Escape'], label: 'Unlock card / close', action: () => unlockEvent() },
+    { keys: ['/'], label: 'Search', action: () => document.getElementById('searchInput')?.focus() },
+    { keys: ['?'], label: 'Show these shortcuts', action: () => toggleShortcutsOverlay() },
+];
+
+/**
+ * Lock the next or previous event on the track (from the locked card, or from
+ * the year at the reference line)
+ * @param {number} direction - 1 for later, -1 for earlier
+ * @returns {boolean} False if there is no event that way
+ */
+function stepEvent(direction) {
+    if (!virtualTrack || virtualTrack.entries.length === 0) return false;
+    const { entries } = virtualTrack;
+    
+    const lockedIndex = entries.findIndex(entry => entry.container === STATE.lockedEvent);
+    let target;
+    if (lockedIndex >= 0) {
+        target = entries[lockedIndex + direction];
+    } else {
+        const px = yearToPixels(getYearAtReference());
+        target = direction > 0
+            ? entries.find(entry => entry.startPx > px + 0.5)
+            : [...entries].reverse().find(entry => entry.startPx < px - 0.5);
+    }
+    if (!target || !focusEvent(target.data.original)) return false;
+    // Move keyboard focus along so screen readers read the card
+    target.card?.focus({ preventScroll: true });
+    return true;
+}
+
+/**
+ * Jump to the next or previous multiple of an interval (e.g. century)
+ * @param {number} interval - Years
+ * @param {number} direction - 1 for later, -1 for earlier
+ */
+function stepInterval(interval, direction) {
+    const year = getYearAtReference() / interval;
+    const target = direction > 0
+        ? (Math.floor(year + 1e-6) + 1) * interval
+        : (Math.ceil(year - 1e-6) - 1) * interval;
+    jumpToYear(Math.max(STATE.deepTimeStart, Math.min(getCurrentHoloceneYear(), target)));
+}
+
+/**
+ * Jump to the beginning of the track
+ */
+function jumpToBeginning() {
+    recordJump(STATE.deepTimeStart);
+    scrollToPosition(0, getScrollBehavior());
+}
+
+/**
+ * Jump to today (the end of the track)
+ */
+function jumpToToday() {
+    recordJump(getCurrentHoloceneYear());
+    scrollToPosition(isHorizontal() ? document.body.scrollWidth : document.body.scrollHeight, getScrollBehavior());
+}
+
+/**
+ * Zoom by a factor, within the scale slider's range
+ * @param {number} factor - Greater than 1 zooms in
+ */
+function zoomBy(factor) {
+    const slider = document.getElementById('scaleSlider');
+    const scaleInput = document.getElementById('scaleInput');
+    
+    // Round to the slider's 0.5 steps, always moving at least one step
+    let newScale = Math.round(CONFIG.pxPerYear * factor * 2) / 2;
+    if (newScale === CONFIG.pxPerYear) newScale += factor > 1 ? 0.5 : -0.5;
+    newScale = Math.max(CONFIG.minPxPerYear, Math.min(CONFIG.maxPxPerYear, newScale));
+    if (newScale === CONFIG.pxPerYear) return;
+    
+    if (slider) slider.value = newScale;
+    if (scaleInput) scaleInput.value = newScale;
+    applyScale(newScale);
+}
+
+/**
+ * Flip a sidebar toggle as if it were clicked
+ * @param {string} id - Checkbox id
+ */
+function toggleCheckbox(id) {
+    const toggle = document.getElementById(id);
+    if (!toggle) return;
+    toggle.checked = !toggle.checked;
+    toggle.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Close the shortcuts overlay, or else unlock the locked card
+ */
+function unlockEvent() {
+    const overlay = document.getElementById('shortcutsOverlay');
+    if (overlay && !overlay.hidden) {
+        overlay.hidden = true;
+        return;
+    }
+    // Clicking a locked event again unlocks it
+    if (STATE.lockedEvent) handleEventClick(STATE.lockedEvent, 9);
+}
+
+/**
+ * Show or hide the keyboard shortcuts overlay
+ */
+function toggleShortcutsOverlay() {
+    const overlay = document.getElementById('shortcutsOverlay');
+    const list = document.getElementById('shortcutsList');
+    if (!overlay || !list) return;
+    
+    const keyName = (key) => ({ ArrowDown: '↓', ArrowUp: '↑', Escape: 'Esc' })[key] || key;
+    list.innerHTML = KEYBOARD_SHORTCUTS.map(shortcut => `
+        <dt>${shortcut.keys.map(key => `<kbd>${escapeHTML(keyName(key))}</kbd>`).join(' ')}</dt>
+        <dd>${escapeHTML(shortcut.label)}</dd>
+    `).join('');
+    overlay.hidden = !overlay.hidden;
+}
+
+/**
+ * Setup the keyboard shortcuts and the shortcuts overlay
+ */
+function setupKeyboardNavigation() {
+    document.addEventListener('keydown', (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+        const target = e.target;
+        if (target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        
+        const shortcut = KEYBOARD_SHORTCUTS.find(s => s.keys.includes(e.key));
+        if (!shortcut) return;
+        e.preventDefault();
+        shortcut.action();
     });
+    
+    document.getElementById('showShortcuts')?.addEventListener('click', toggleShortcutsOverlay);
+    document.getElementById('shortcutsDismiss')?.addEventListener('click', toggleShortcutsOverlay);
 }
 
 // ============ SCROLL TRACKING ============
@@ -2465,6 +7757,7 @@ let isEditingYear = false;
 
 /**
  * Get the offset from the top of the page to the top of the timeline track
+ * (from the left edge to the track start when horizontal)
  * @returns {number} Pixels from page top to track top
  */
 function getTrackOffset() {
@@ -2473,16 +7766,17 @@ function getTrackOffset() {
     
     // Get the track's position relative to the document (not viewport)
     const rect = track.getBoundingClientRect();
-    return rect.top + window.scrollY;
+    return isHorizontal() ? rect.left + window.scrollX : rect.top + window.scrollY;
 }
 
 /**
  * Get the reference point (in viewport pixels from top) where we measure/scroll to years
  * This is 50% of viewport height, but clamped to not go below where year 0 lands on first load
+ * (viewport width and pixels from the left when horizontal)
  * @returns {number} Pixels from top of viewport to the reference line
  */
 function getReferencePoint() {
-    const viewportHalf = window.innerHeight / 2;
+    const viewportHalf = getViewportLength() / 2;
     const trackOffset = getTrackOffset();
     
     // Reference = min(viewportHalf, trackOffset)
@@ -2502,15 +7796,16 @@ function getYearAtReference() {
     const referencePoint = getReferencePoint();
     
     // How many pixels into the track is our reference point?
-    const pixelsIntoTrack = window.scrollY + referencePoint - trackOffset;
+    const pixelsIntoTrack = getScrollPosition() + referencePoint - trackOffset;
     
-    return Math.max(0, pixelsToYear(pixelsIntoTrack));
+    return Math.max(STATE.deepTimeStart, pixelsToYear(pixelsIntoTrack));
 }
 
 function updateYearDisplay() {
     const yearInput = document.getElementById('currentYear');
     const yearInputCE = document.getElementById('currentYearCE');
     const yearCELabel = document.getElementById('yearCELabel');
+    const yearHELabel = document.getElementById('yearHELabel');
     const scrollProgress = document.getElementById('scrollProgress');
     
     if (!yearInput) return;
@@ -2522,15 +7817,23 @@ function updateYearDisplay() {
     let displayYear = getYearAtReference();
     displayYear = Math.min(currentYear, displayYear);
     
-    yearInput.value = displayYear.toLocaleString();
+    // Negative HE years are shown as positive numbers with a BHE label
+    yearInput.value = Math.abs(displayYear).toLocaleString();
+    if (yearHELabel) yearHELabel.textContent = displayYear < 0 ? 'Before Holocene Era' : 'Holocene Era';
     
     // Update CE/BCE display
     const converted = fromHoloceneYear(displayYear);
     if (yearInputCE) yearInputCE.value = converted.year;
     if (yearCELabel) yearCELabel.textContent = converted.era === 'BCE' ? 'BCE' : 'CE\u00A0';
     
+    // Update the world calendar display
+    updateWorldCalendarDisplay(displayYear);
+    
+    announceCentury(displayYear);
+    
     if (scrollProgress) {
-        const scrollPercent = (displayYear / currentYear) * 100;
+        // Progress is measured along the track so the deep-time section counts too
+        const scrollPercent = (yearToPixels(displayYear) / yearToPixels(currentYear)) * 100;
         scrollProgress.style.width = scrollPercent + '%';
     }
 }
@@ -2538,12 +7841,15 @@ function updateYearDisplay() {
 /**
  * Scroll to a specific year on the timeline
  * @param {number} year - Year in HE to scroll to
+ * @param {object} options - { center: put year at the reference line, padding, instant: no smooth scroll }
  */
 function scrollToYear(year, options = {}) {
-    const { center = false, padding = 100 } = options;
+    const { center = false, padding = 100, instant = false } = options;
+    // 'instant' overrides the CSS scroll-behavior: smooth on <html>
+    const behavior = instant ? 'instant' : getScrollBehavior();
 
     const currentYear = getCurrentHoloceneYear();
-    const clampedYear = Math.max(0, Math.min(currentYear, year));
+    const clampedYear = Math.max(STATE.deepTimeStart, Math.min(currentYear, year));
 
     const trackOffset = getTrackOffset();
     const yearPx = yearToPixels(clampedYear);
@@ -2553,26 +7859,23 @@ function scrollToYear(year, options = {}) {
     if (center) {
         const referencePoint = getReferencePoint();
         const targetScroll = yearPositionOnPage - referencePoint;
-        window.scrollTo({
-            top: Math.max(0, targetScroll),
-            behavior: 'smooth'
-        });
+        scrollToPosition(targetScroll, behavior);
         return;
     }
 
     // Otherwise, scroll only as needed to bring year into view
-    const viewportTop = window.scrollY;
-    const viewportBottom = viewportTop + window.innerHeight;
+    const viewportTop = getScrollPosition();
 
     // Check if year is already visible (with some padding)
+    // The top bar and footer only cover the ends of a vertical track
     const yearViewportPos = yearPositionOnPage - viewportTop;
     const topBar = document.querySelector('.top-bar');
-    const topBarHeight = topBar ? topBar.offsetHeight : 80;
+    const topBarHeight = isHorizontal() ? 0 : (topBar ? topBar.offsetHeight : 80);
     const footer = document.querySelector('footer');
-    const footerHeight = footer ? footer.offsetHeight : 60;
+    const footerHeight = isHorizontal() ? 0 : (footer ? footer.offsetHeight : 60);
 
     const visibleTop = topBarHeight + padding;
-    const visibleBottom = window.innerHeight - footerHeight - padding;
+    const visibleBottom = getViewportLength() - footerHeight - padding;
 
     if (yearViewportPos >= visibleTop && yearViewportPos <= visibleBottom) {
         // Already visible, no scroll needed
@@ -2586,13 +7889,10 @@ function scrollToYear(year, options = {}) {
         targetScroll = yearPositionOnPage - topBarHeight - padding;
     } else {
         // Need to scroll down - put year near bottom of visible area
-        targetScroll = yearPositionOnPage - window.innerHeight + footerHeight + padding;
+        targetScroll = yearPositionOnPage - getViewportLength() + footerHeight + padding;
     }
 
-    window.scrollTo({
-        top: Math.max(0, targetScroll),
-        behavior: 'smooth'
-    });
+    scrollToPosition(targetScroll, behavior);
 }
 
 /**
@@ -2610,6 +7910,11 @@ function setupYearInput() {
     if (yearInput) {
         yearInput.addEventListener('focus', () => {
             isEditingYear = true;
+            // In the deep-time section, append BHE so the value round-trips through the parser
+            const isBHE = document.getElementById('yearHELabel')?.textContent?.startsWith('Before');
+            if (isBHE) {
+                yearInput.value = `${yearInput.value.replace(/,/g, '')} BHE`;
+            }
             heValueOnFocus = yearInput.value;
             yearInput.select();
         });
@@ -2619,11 +7924,15 @@ function setupYearInput() {
             const currentValue = yearInput.value;
             if (currentValue !== heValueOnFocus) {
                 const inputValue = currentValue.replace(/,/g, '').trim();
-                const targetYear = parseDateToHE(inputValue);
+                let targetYear = parseDateToHE(inputValue);
+                // Also accept labeled years in other calendars ("AH 1", "Reiwa 7")
+                if (isNaN(targetYear)) {
+                    targetYear = parseWorldCalendarYear(inputValue, getYearAtReference());
+                }
 
                 if (!isNaN(targetYear)) {
                     isEditingYear = false;
-                    scrollToYear(targetYear, { center: true });
+                    jumpToYear(targetYear);
                     return;
                 }
             }
@@ -2664,7 +7973,7 @@ function setupYearInput() {
 
                 if (!isNaN(targetYear)) {
                     isEditingYear = false;
-                    scrollToYear(targetYear, { center: true });
+                    jumpToYear(targetYear);
                     return;
                 }
             }
@@ -2689,12 +7998,30 @@ function setupYearInput() {
 
 let isEditingScale = false;
 
-function applyScale(newScale) {
+/**
+ * Describe the active time scale for the header info box
+ * @returns {string}
+ */
+function getScaleDescription() {
+    const linearText = `100 years = ${Math.round(CONFIG.pxPerYear * 100)} pixels`;
+    if (CONFIG.scaleMode === 'log') {
+        return `Each 10× further back = ${Math.round(getLogPxPerDecade()).toLocaleString()} pixels`;
+    }
+    if (CONFIG.scaleMode === 'piecewise' && CONFIG.piecewiseRules.length > 0) {
+        return `${linearText} (outside custom spans)`;
+    }
+    return linearText;
+}
+
+/**
+ * Apply a change to the time scale while keeping the year at the reference line in place
+ * @param {Function} update - Mutates CONFIG (scale, mode, rules)
+ */
+function applyScaleChange(update) {
     // Remember scroll position as a year
     const currentScrollYear = getYearAtReference();
     
-    // Update scale
-    CONFIG.pxPerYear = newScale;
+    update();
     
     // Re-render
     renderTimeline();
@@ -2703,12 +8030,45 @@ function applyScale(newScale) {
     const trackOffset = getTrackOffset();
     const referencePoint = getReferencePoint();
     const newScrollTop = trackOffset + yearToPixels(currentScrollYear) - referencePoint;
-    window.scrollTo(0, Math.max(0, newScrollTop));
+    scrollToPosition(newScrollTop);
+    updateVirtualWindow();
     
     // Update display
     updateYearDisplay();
 }
 
+function applyScale(newScale) {
+    applyScaleChange(() => {
+        CONFIG.pxPerYear = newScale;
+    });
+}
+
+/**
+ * Switch scale mode, optionally with new piecewise rules
+ * @param {string} mode - 'linear', 'log' or 'piecewise'
+ * @param {object[]} [rules] - Piecewise rules from parsePiecewiseRules()
+ */
+function applyScaleMode(mode, rules) {
+    applyScaleChange(() => {
+        CONFIG.scaleMode = mode;
+        if (rules) CONFIG.piecewiseRules = rules;
+    });
+    updateScaleModeUI();
+}
+
+/**
+ * Sync the scale mode selector, unit label and piecewise editor with CONFIG
+ */
+function updateScaleModeUI() {
+    const modeSelect = document.getElementById('scaleModeSelect');
+    const rulesRow = document.getElementById('piecewiseRulesRow');
+    const scaleUnit = document.getElementById('scaleUnit');
+    
+    if (modeSelect) modeSelect.value = CONFIG.scaleMode;
+    if (rulesRow) rulesRow.hidden = CONFIG.scaleMode !== 'piecewise';
+    if (scaleUnit) scaleUnit.textContent = CONFIG.scaleMode === 'log' ? 'log zoom' : 'px/yr';
+}
+
 function setupScaleControl() {
     const slider = document.getElementById('scaleSlider');
     const scaleInput = document.getElementById('scaleInput');
@@ -2777,46 +8137,793 @@ function setupScaleControl() {
             }
         });
     }
+    
+    setupScaleModeControl();
+}
+
+/**
+ * Setup the scale mode selector and piecewise rules editor
+ */
+function setupScaleModeControl() {
+    const modeSelect = document.getElementById('scaleModeSelect');
+    const rulesInput = document.getElementById('piecewiseRulesInput');
+    const rulesHelp = document.getElementById('piecewiseRulesHelp');
+    
+    // Parse the rules box, report problems, and return the valid rules
+    const readRules = () => {
+        const { rules, errors } = parsePiecewiseRules(rulesInput?.value);
+        CONFIG.piecewiseText = rulesInput?.value || '';
+        if (rulesHelp) {
+            rulesHelp.textContent = errors.length > 0
+                ? `Ignored: ${errors.join('; ')}`
+                : 'One span per line or separated by ";" — e.g. "before 5000: 1; after 11500: 10"';
+            rulesHelp.classList.toggle('has-errors', errors.length > 0);
+        }
+        return rules;
+    };
+    
+    if (modeSelect) {
+        modeSelect.addEventListener('change', () => {
+            const mode = modeSelect.value;
+            applyScaleMode(mode, mode === 'piecewise' ? readRules() : undefined);
+        });
+    }
+    
+    if (rulesInput) {
+        rulesInput.value = CONFIG.piecewiseText;
+        rulesInput.addEventListener('change', () => {
+            applyScaleMode('piecewise', readRules());
+        });
+    }
+    
+    updateScaleModeUI();
+}
+
+// ============ SEARCH ============
+
+/*
+ * Full-text search across STATE.allEvents.
+ * Every query term must match somewhere; score is the sum of the weights of the
+ * fields each term matched, plus bonuses for title prefix / whole-word matches.
+ */
+const SEARCH_FIELD_WEIGHTS = {
+    title: 10,
+    categories: 4,
+    desc: 2,
+    source: 1,
+};
+
+/**
+ * Get the searchable text of an event, per field (lowercased)
+ */
+function getSearchFields(event) {
+    const categoryText = (event.categories || [])
+        .map(key => `${key} ${STATE.categories[key]?.name || ''}`)
+        .join(' ');
+    return {
+        title: (event.title || '').toLowerCase(),
+        categories: categoryText.toLowerCase(),
+        desc: (event.desc || '').toLowerCase(),
+        source: (event.source || '').toLowerCase(),
+    };
+}
+
+/**
+ * Search events by title, description, categories and source
+ * @param {string} query - Free text, split into terms on whitespace
+ * @param {object} options - { ignoreFilters: include events hidden by category filters, limit }
+ * @returns {object[]} [{ event, score, visible }] best first
+ */
+function searchEvents(query, options = {}) {
+    const { ignoreFilters = false, limit = CONFIG.searchMaxResults } = options;
+    const normalized = String(query || '').trim().toLowerCase();
+    const terms = normalized.split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    STATE.allEvents.forEach(event => {
+        const visible = eventPassesFilter(event);
+        if (!visible && !ignoreFilters) return;
+
+        const fields = getSearchFields(event);
+        let score = 0;
+        for (const term of terms) {
+            let termScore = 0;
+            Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+                const index = fields[field].indexOf(term);
+                if (index === -1) return;
+                termScore += weight;
+                // Whole-word / word-start matches rank above mid-word matches
+                if (index === 0 || /\W/.test(fields[field][index - 1])) termScore += weight / 2;
+            });
+            if (termScore === 0) return; // Every term must match somewhere
+            score += termScore;
+        }
+
+        if (fields.title === normalized) score += 50;
+        else if (fields.title.startsWith(normalized)) score += 20;
+
+        results.push({ event, score, visible });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.event.year - b.event.year)
+        .slice(0, limit);
+}
+
+/**
+ * Wrap every occurrence of the query terms in <mark>, escaping everything else
+ * @param {string} text
+ * @param {string[]} terms - Lowercased search terms
+ * @returns {string} HTML
+ */
+function highlightMatches(text, terms) {
+    const source = String(text || '');
+    const lower = source.toLowerCase();
+    const marks = new Array(source.length).fill(false);
+    terms.forEach(term => {
+        let index = lower.indexOf(term);
+        while (term && index !== -1) {
+            marks.fill(true, index, index + term.length);
+            index = lower.indexOf(term, index + term.length);
+        }
+    });
+
+    let html = '';
+    let open = false;
+    for (let i = 0; i < source.length; i++) {
+        if (marks[i] && !open) { html += '<mark>'; open = true; }
+        if (!marks[i] && open) { html += '</mark>'; open = false; }
+        html += escapeHTML(source[i]);
+    }
+    return open ? `${html}</mark>` : html;
+}
+
+/**
+ * Short excerpt of a description around the first matching term
+ */
+function getSearchSnippet(desc, terms, radius = 60) {
+    const text = desc || '';
+    const lower = text.toLowerCase();
+    const hit = terms.map(term => lower.indexOf(term)).filter(i => i !== -1).sort((a, b) => a - b)[0];
+    if (hit === undefined) return '';
+    const start = Math.max(0, hit - radius);
+    const end = Math.min(text.length, hit + radius * 2);
+    return `${start > 0 ? '…' : ''}${highlightMatches(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Turn on a category filter (used when jumping to an event hidden by filters)
+ */
+function activateCategoryFilter(key) {
+    STATE.activeFilters.add(key);
+    const checkbox = document.querySelector(`#filterOptions input[data-category="${key}"]`);
+    if (checkbox) {
+        checkbox.checked = true;
+        checkbox.closest('.filter-option')?.classList.add('active');
+    }
+    updateFilterCount();
+}
+
+/**
+ * Setup the top bar search box, results list and keyboard navigation
+ */
+function setupSearch() {
+    const searchBox = document.getElementById('searchBox');
+    const searchInput = document.getElementById('searchInput');
+    const resultsList = document.getElementById('searchResults');
+    const ignoreFiltersToggle = document.getElementById('searchIgnoreFilters');
+    if (!searchInput || !resultsList) return;
+
+    let results = [];
+    let activeIndex = -1;
+
+    const closeResults = () => {
+        searchBox?.classList.remove('open');
+        activeIndex = -1;
+    };
+
+    const setActive = (index) => {
+        activeIndex = index;
+        resultsList.querySelectorAll('.search-result').forEach((el, i) => {
+            el.classList.toggle('active', i === index);
+            if (i === index) el.scrollIntoView({ block: 'nearest' });
+        });
+    };
+
+    const selectResult = (index) => {
+        const result = results[index];
+        if (!result) return;
+        const { event } = result;
+
+        // Event hidden by filters: turn its first category back on so it can be shown
+        if (!eventPassesFilter(event) && event.categories?.length) {
+            activateCategoryFilter(event.categories[0]);
+            renderTimeline();
+        }
+
+        closeResults();
+        searchInput.blur();
+        recordJump(event.year);
+        if (!focusEvent(event)) {
+            scrollToYear(event.year, { center: true });
+        }
+    };
+
+    const renderResults = () => {
+        const query = searchInput.value;
+        const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        results = searchEvents(query, { ignoreFilters: ignoreFiltersToggle?.checked });
+        activeIndex = results.length > 0 ? 0 : -1;
+
+        const items = resultsList.querySelector('.search-result-items');
+        if (terms.length === 0) {
+            closeResults();
+            return;
+        }
+
+        if (results.length === 0) {
+            items.innerHTML = '<li class="search-empty">No matching events</li>';
+        } else {
+            items.innerHTML = results.map(({ event, visible }, i) => {
+                const color = getEventColor(event);
+                const snippet = getSearchSnippet(event.desc, terms);
+                return `
+                    <li class="search-result${i === activeIndex ? ' active' : ''}${visible ? '' : ' filtered-out'}" data-index="${i}" style="--result-color: ${color.border}">
+                        <span class="search-result-title">${highlightMatches(event.title, terms)}</span>
+                        <span class="search-result-date" style="color: ${color.text}">${formatYearDisplay(event)}</span>
+                        ${snippet ? `<span class="search-result-snippet">${snippet}</span>` : ''}
+                        ${visible ? '' : '<span class="search-result-note">Hidden by filters</span>'}
+                    </li>
+                `;
+            }).join('');
+        }
+        searchBox?.classList.add('open');
+    };
+
+    searchInput.addEventListener('input', renderResults);
+    searchInput.addEventListener('focus', () => {
+        if (searchInput.value.trim()) renderResults();
+    });
+    ignoreFiltersToggle?.addEventListener('change', () => {
+        renderResults();
+        searchInput.focus();
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            if (results.length) setActive((activeIndex + 1) % results.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length) setActive((activeIndex - 1 + results.length) % results.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            selectResult(activeIndex);
+        } else if (e.key === 'Escape') {
+            if (searchBox?.classList.contains('open')) {
+                closeResults();
+            } else {
+                searchInput.value = '';
+                searchInput.blur();
+            }
+        }
+    });
+
+    resultsList.addEventListener('mousemove', (e) => {
+        const item = e.target.closest('.search-result');
+        if (item && Number(item.dataset.index) !== activeIndex) {
+            setActive(Number(item.dataset.index));
+        }
+    });
+
+    resultsList.addEventListener('click', (e) => {
+        const item = e.target.closest('.search-result');
+        if (item) selectResult(Number(item.dataset.index));
+    });
+
+    // Click outside closes the results
+    document.addEventListener('click', (e) => {
+        if (searchBox && !searchBox.contains(e.target)) closeResults();
+    });
+}
+
+// ============ DEEP LINKS ============
+
+/*
+ * The view is mirrored into the URL hash so it can be shared, e.g.
+ *   #year=8824&scale=12&filters=war&labels=0&event=bronze-age-collapse
+ * - year:    HE year at the reference line (negative = BHE)
+ * - scale:   CONFIG.pxPerYear; mode/rules for log and piecewise scales
+ * - filters: active categories (omitted = all, "none" = none)
+ * - labels/ranges/ages/spread: 0 when the toggle is off (omitted = on)
+ * - event:   key of the locked event
+ * Scrolling updates the current history entry (debounced replaceState); explicit
+ * jumps (year inputs, search, nav buttons) push a new entry so back/forward
+ * step between them.
+ */
+const VIEW_TOGGLES = {
+    labels: 'showLabelsToggle',
+    ranges: 'showRangesToggle',
+    ages: 'showAgesToggle',
+    spread: 'spreadRangesToggle',
+};
+
+let urlUpdateTimeout = null;
+let isRestoringView = false;
+
+/**
+ * Key for an event in URLs (its id, or the slug of its title without one)
+ * @param {object} event
+ * @returns {string}
+ */
+function getEventKey(event) {
+    return event.id || slugify(event.title);
+}
+
+/**
+ * Find an event in STATE.allEvents by key (title slugs still match events that
+ * have since been given an id, so older links keep working)
+ */
+function findEventByKey(key) {
+    return STATE.allEvents.find(event => getEventKey(event) === key) ||
+        STATE.allEvents.find(event => slugify(event.title) === key) || null;
+}
+
+/**
+ * Capture the current view
+ * @param {number} [year] - Override for the reference year (e.g. a jump target)
+ * @returns {object} View state
+ */
+function getCurrentViewState(year) {
+    const toggles = {};
+    Object.entries(VIEW_TOGGLES).forEach(([name, id]) => {
+        const toggle = document.getElementById(id);
+        toggles[name] = toggle ? toggle.checked : true;
+    });
+    const lockedData = STATE.lockedEvent?._timelineEntry?.data.original;
+    return {
+        year: year !== undefined ? Math.round(year) : getYearAtReference(),
+        scale: CONFIG.pxPerYear,
+        mode: CONFIG.scaleMode,
+        rules: CONFIG.piecewiseText,
+        filters: [...STATE.activeFilters],
+        toggles,
+        event: lockedData ? getEventKey(lockedData) : null,
+    };
+}
+
+/**
+ * Serialize a view state to a hash string (without "#")
+ */
+function serializeViewState(view) {
+    const params = new URLSearchParams();
+    params.set('year', view.year);
+    params.set('scale', view.scale);
+    if (view.mode !== 'linear') params.set('mode', view.mode);
+    if (view.mode === 'piecewise' && view.rules) params.set('rules', view.rules);
+
+    const allCategories = Object.keys(STATE.categories);
+    if (view.filters.length === 0) {
+        params.set('filters', 'none');
+    } else if (view.filters.length < allCategories.length) {
+        params.set('filters', view.filters.join(','));
+    }
+
+    Object.entries(view.toggles).forEach(([name, on]) => {
+        if (!on) params.set(name, '0');
+    });
+    if (view.event) params.set('event', view.event);
+    return params.toString();
+}
+
+/**
+ * Parse a hash string into a (partial) view state. Missing keys stay undefined,
+ * except in a complete view as written by serializeViewState() (it always has a
+ * scale), which leaves out the default mode and filters and toggles that are all on.
+ * @param {string} hash - location.hash
+ * @returns {object|null} null when there is no view state in the hash
+ */
+function parseViewState(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    if (![...params.keys()].length) return null;
+
+    const view = { toggles: {} };
+    const year = parseFloat(params.get('year'));
+    if (!isNaN(year)) view.year = year;
+    const scale = parseFloat(params.get('scale'));
+    if (!isNaN(scale)) view.scale = Math.max(CONFIG.minPxPerYear, Math.min(CONFIG.maxPxPerYear, scale));
+    if (['linear', 'log', 'piecewise'].includes(params.get('mode'))) view.mode = params.get('mode');
+    else if (params.has('scale')) view.mode = 'linear';
+    if (params.has('rules')) view.rules = params.get('rules');
+
+    if (params.has('filters')) {
+        const filters = params.get('filters');
+        view.filters = filters === 'none' ? [] : filters.split(',').filter(Boolean);
+    } else if (params.has('scale')) {
+        view.filters = Object.keys(STATE.categories);
+    }
+    Object.keys(VIEW_TOGGLES).forEach(name => {
+        if (params.has(name)) view.toggles[name] = params.get(name) !== '0';
+        else if (params.has('scale')) view.toggles[name] = true;
+    });
+    if (params.has('event')) view.event = params.get('event');
+    return view;
+}
+
+/**
+ * Sync the category checkboxes and count with STATE.activeFilters
+ */
+function syncFilterUI() {
+    document.querySelectorAll('#filterOptions .filter-option').forEach(option => {
+        const checkbox = option.querySelector('input[type="checkbox"]');
+        const active = STATE.activeFilters.has(checkbox.dataset.category);
+        checkbox.checked = active;
+        option.classList.toggle('active', active);
+    });
+    updateFilterCount();
+}
+
+/**
+ * Apply scale, filters and toggles from a view state (no rendering or scrolling).
+ * Settings the view leaves undefined keep their current (e.g. restored) values.
+ * Unknown categories are ignored. Toggle change handlers run so body classes follow.
+ * @param {object} view - From parseViewState()
+ * @returns {boolean} True if the track needs re-rendering
+ */
+function applyViewSettings(view) {
+    let needsRender = false;
+
+    if (view.scale !== undefined && view.scale !== CONFIG.pxPerYear) {
+        CONFIG.pxPerYear = view.scale;
+        needsRender = true;
+    }
+    if (view.mode !== undefined && view.mode !== CONFIG.scaleMode) {
+        CONFIG.scaleMode = view.mode;
+        needsRender = true;
+    }
+    if (view.rules !== undefined && view.rules !== CONFIG.piecewiseText) {
+        CONFIG.piecewiseText = view.rules;
+        CONFIG.piecewiseRules = parsePiecewiseRules(view.rules).rules;
+        const rulesInput = document.getElementById('piecewiseRulesInput');
+        if (rulesInput) rulesInput.value = view.rules;
+        needsRender = true;
+    }
+
+    if (view.filters !== undefined) {
+        const filters = view.filters.filter(key => STATE.categories[key]);
+        const filtersChanged = filters.length !== STATE.activeFilters.size ||
+            filters.some(key => !STATE.activeFilters.has(key));
+        if (filtersChanged) {
+            STATE.activeFilters = new Set(filters);
+            syncFilterUI();
+            needsRender = true;
+        }
+    }
+
+    Object.entries(VIEW_TOGGLES).forEach(([name, id]) => {
+        const toggle = document.getElementById(id);
+        const on = view.toggles?.[name];
+        if (!toggle || on === undefined || toggle.checked === on) return;
+        toggle.checked = on;
+        toggle.dispatchEvent(new Event('change'));
+        if (name === 'spread') {
+            STATE.spreadRanges = on;
+            needsRender = true;
+        }
+    });
+
+    updateScaleModeUI();
+    return needsRender;
+}
+
+/**
+ * Scroll to a view's year and lock its event (after the track is rendered)
+ * @param {object} view
+ * @param {object} options - { instant: jump without smooth scrolling }
+ */
+function applyViewPosition(view, options = {}) {
+    const event = view.event ? findEventByKey(view.event) : null;
+    const entry = event ? findEntryForEvent(event) : null;
+
+    if (entry) {
+        const el = materializeEntry(entry);
+        if (STATE.lockedEvent !== el) handleEventClick(el, 9);
+    } else if (STATE.lockedEvent) {
+        handleEventClick(STATE.lockedEvent, 9); // Clicking the locked event unlocks it
+    }
+
+    if (view.year !== undefined) {
+        scrollToYear(view.year, { center: true, instant: options.instant });
+    }
+    updateVirtualWindow();
+}
+
+/**
+ * Restore view settings from the URL during init (before the first render)
+ * @returns {object|null} The parsed view, to position after rendering
+ */
+function restoreViewSettingsFromURL() {
+    const view = parseViewState(window.location.hash);
+    if (!view) return null;
+    applyViewSettings(view);
+    return view;
+}
+
+/**
+ * Update the URL hash and saved preferences to match the view
+ * (debounced, replaces the current history entry)
+ */
+function scheduleURLUpdate() {
+    if (isRestoringView) return;
+    clearTimeout(urlUpdateTimeout);
+    urlUpdateTimeout = setTimeout(() => {
+        const hash = `#${serializeViewState(getCurrentViewState())}`;
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', hash);
+        }
+        savePreferences();
+    }, CONFIG.urlUpdateDelay);
+}
+
+/**
+ * Record an explicit jump: save the current position in the current history
+ * entry, then push a new entry for the destination
+ * @param {number} targetYear - HE year being jumped to
+ */
+function recordJump(targetYear) {
+    clearTimeout(urlUpdateTimeout);
+    history.replaceState(null, '', `#${serializeViewState(getCurrentViewState())}`);
+    history.pushState(null, '', `#${serializeViewState(getCurrentViewState(targetYear))}`);
+}
+
+/**
+ * Jump to a year at the reference line as an explicit, history-recorded navigation
+ * @param {number} year - Year in HE
+ */
+function jumpToYear(year) {
+    recordJump(year);
+    scrollToYear(year, { center: true });
+}
+
+/**
+ * Setup back/forward handling and scroll-driven URL updates
+ */
+function setupDeepLinks() {
+    window.addEventListener('scroll', scheduleURLUpdate);
+
+    window.addEventListener('popstate', () => {
+        const view = parseViewState(window.location.hash);
+        if (!view) return;
+
+        isRestoringView = true;
+        if (applyViewSettings(view)) {
+            renderTimeline();
+        }
+        applyViewPosition(view);
+        isRestoringView = false;
+    });
+}
+
+// ============ PREFERENCES ============
+
+/*
+ * Scale, filters, the sidebar toggles, the layout, lanes and orientation, whether the sidebar
+ * and map panel are open and the last viewed year are saved to localStorage and
+ * restored on load. A shared link (URL hash)
+ * takes precedence over saved preferences.
+ * Filters are stored with the list of categories that existed when they were
+ * saved, so categories added to a dataset since then start enabled and
+ * categories that no longer exist are dropped.
+ */
+const PREFS_STORAGE_KEY = 'holoceneTimeline.preferences';
+const PREFS_VERSION = 1;
+
+// Settings as shipped (captured before anything is restored)
+const DEFAULT_SETTINGS = {
+    scale: CONFIG.pxPerYear,
+    mode: CONFIG.scaleMode,
+    rules: CONFIG.piecewiseText,
+    worldCalendar: CONFIG.worldCalendar,
+    displayUnit: CONFIG.displayUnit,
+};
+
+/**
+ * Read saved preferences
+ * @returns {object|null} null when nothing is saved, storage is unavailable or the data is unusable
+ */
+function readPreferences() {
+    try {
+        const prefs = JSON.parse(localStorage.getItem(PREFS_STORAGE_KEY));
+        if (!prefs || prefs.version !== PREFS_VERSION) return null;
+        return prefs;
+    } catch (error) {
+        console.warn('Could not read saved preferences:', error);
+        return null;
+    }
+}
+
+/**
+ * Save the current view and sidebar state
+ */
+function savePreferences() {
+    const view = getCurrentViewState();
+    const prefs = {
+        version: PREFS_VERSION,
+        year: view.year,
+        scale: view.scale,
+        mode: view.mode,
+        rules: view.rules,
+        filters: view.filters,
+        categories: Object.keys(STATE.categories),
+        datasets: STATE.datasets.map(dataset => dataset.id),
+        knownDatasets: STATE.manifest.map(entry => entry.id),
+        toggles: view.toggles,
+        sidebarOpen: document.getElementById('sidebar')?.classList.contains('open') || false,
+        mapOpen: document.getElementById('mapPanel')?.hidden === false,
+        worldCalendar: CONFIG.worldCalendar,
+        displayUnit: CONFIG.displayUnit,
+        layout: STATE.layout,
+        hiddenLanes: [...STATE.hiddenLanes],
+        orientation: STATE.orientation,
+    };
+    try {
+        localStorage.setItem(PREFS_STORAGE_KEY, JSON.stringify(prefs));
+    } catch (error) {
+        console.warn('Could not save preferences:', error);
+    }
+}
+
+/**
+ * Turn saved preferences into a view state, reconciling filters with the
+ * categories of the datasets loaded now
+ * @param {object} prefs - From readPreferences()
+ * @returns {object} View state for applyViewSettings()
+ */
+function getPreferencesView(prefs) {
+    const view = { toggles: {} };
+    if (typeof prefs.year === 'number') view.year = prefs.year;
+    if (typeof prefs.scale === 'number') {
+        view.scale = Math.max(CONFIG.minPxPerYear, Math.min(CONFIG.maxPxPerYear, prefs.scale));
+    }
+    if (['linear', 'log', 'piecewise'].includes(prefs.mode)) view.mode = prefs.mode;
+    if (typeof prefs.rules === 'string') view.rules = prefs.rules;
+
+    if (Array.isArray(prefs.filters)) {
+        const knownCategories = new Set(prefs.categories || []);
+        const addedCategories = Object.keys(STATE.categories).filter(key => !knownCategories.has(key));
+        view.filters = [...prefs.filters, ...addedCategories];
+    }
+
+    Object.keys(VIEW_TOGGLES).forEach(name => {
+        if (typeof prefs.toggles?.[name] === 'boolean') view.toggles[name] = prefs.toggles[name];
+    });
+    return view;
+}
+
+/**
+ * Manifest datasets enabled by default
+ * @returns {string[]} Dataset ids
+ */
+function getDefaultDatasetIds() {
+    return STATE.manifest.filter(entry => entry.enabled !== false).map(entry => entry.id);
+}
+
+/**
+ * Manifest datasets to enable on load: the saved selection, with datasets
+ * added to the manifest since the save falling back to their default
+ * @returns {string[]} Dataset ids
+ */
+function getInitialDatasetIds() {
+    const prefs = readPreferences();
+    const savedIds = new Set(prefs?.datasets || []);
+    const knownIds = new Set(prefs?.knownDatasets || []);
+    return STATE.manifest
+        .filter(entry => knownIds.has(entry.id) ? savedIds.has(entry.id) : entry.enabled !== false)
+        .map(entry => entry.id);
+}
+
+/**
+ * Restore saved preferences during init (before the first render)
+ * @returns {object|null} The restored view, to position after rendering
+ */
+function restorePreferences() {
+    const prefs = readPreferences();
+    if (!prefs) return null;
+    const view = getPreferencesView(prefs);
+    applyViewSettings(view);
+    if (DISPLAY_UNITS.includes(prefs.displayUnit)) CONFIG.displayUnit = prefs.displayUnit;
+    if (Array.isArray(prefs.hiddenLanes)) STATE.hiddenLanes = new Set(prefs.hiddenLanes);
+    if (LAYOUTS.includes(prefs.layout)) setLayout(prefs.layout);
+    if (ORIENTATIONS.includes(prefs.orientation)) setOrientation(prefs.orientation);
+    return view;
+}
+
+/**
+ * Forget saved preferences and return datasets, scale, filters and toggles to
+ * their defaults, keeping the current year at the reference line
+ */
+async function resetPreferences() {
+    try {
+        localStorage.removeItem(PREFS_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not clear saved preferences:', error);
+    }
+    
+    const defaultIds = getDefaultDatasetIds();
+    const enabledIds = STATE.datasets.map(dataset => dataset.id)
+        .filter(id => STATE.manifest.some(entry => entry.id === id));
+    if (defaultIds.length !== enabledIds.length || defaultIds.some(id => !enabledIds.includes(id))) {
+        await applyDatasetSelection(defaultIds);
+    }
+    
+    setWorldCalendar(DEFAULT_SETTINGS.worldCalendar);
+    const unitSelect = document.getElementById('displayUnitSelect');
+    if (unitSelect) unitSelect.value = DEFAULT_SETTINGS.displayUnit;
+    STATE.hiddenLanes.clear();
+    setLayout('spine');
+    applyScaleChange(() => {
+        setOrientation('vertical');
+        CONFIG.displayUnit = DEFAULT_SETTINGS.displayUnit;
+        applyViewSettings({
+            ...DEFAULT_SETTINGS,
+            filters: Object.keys(STATE.categories),
+            toggles: Object.fromEntries(Object.keys(VIEW_TOGGLES).map(name => [name, true])),
+        });
+    });
+}
+
+/**
+ * Setup the sidebar "Reset to defaults" action
+ */
+function setupPreferencesReset() {
+    const resetBtn = document.getElementById('resetPreferences');
+    resetBtn?.addEventListener('click', resetPreferences);
 }
 
 // ============ PUBLIC API ============
 
 window.timelineAPI = {
-    // Add a single event
+    // Add a personal event (saved to "My events"), drawn in color (#rrggbb) if given;
+    // returns null if the year can't be parsed or the color is not a hex color
     addEvent(year, title, desc, approximate = false, color = null) {
-        const newEvent = { 
-            year: typeof year === 'number' ? year : parseDateToHE(year), 
-            title, 
-            desc, 
-            approximate,
-            color: color || '#d4442e', // User events get accent color
-            sourceDataset: 'user'
-        };
-        STATE.allEvents.push(newEvent);
-        STATE.allEvents.sort((a, b) => a.year - b.year);
-        renderTimeline();
+        const { event: newEvent, errors } = addUserEvent({
+            year,
+            title,
+            desc,
+            type: approximate ? 'approximate' : undefined
+        }, color);
+        if (!newEvent) {
+            console.error(`Could not add event "${title}": ${errors.join('; ')}`);
+            return null;
+        }
         
         // Scroll to the new event (center it since user just added it)
         setTimeout(() => {
-            scrollToYear(newEvent.year, { center: true });
+            scrollToYear(getEventPosition(newEvent), { center: true });
         }, 100);
         
         return newEvent;
     },
     
+    // Edit or delete a personal event by id (fields in dataset format)
+    updateEvent: (id, fields) => updateUserEvent(id, fields).event,
+    deleteEvent: deleteUserEvent,
+    
     // Load additional dataset
     async loadDataset(url) {
         const dataset = await loadDataset(url);
         if (dataset) {
             STATE.datasets.push(dataset);
-            STATE.allEvents = STATE.datasets
-                .flatMap(d => d.events || [])
-                .sort((a, b) => a.year - b.year);
+            mergeDatasets();
             renderTimeline();
         }
         return dataset;
     },
     
+    // Enable/disable a dataset listed in events/manifest.json
+    setDatasetEnabled,
+    
     // Get current state
     getEvents: () => [...STATE.allEvents],
     getDatasets: () => [...STATE.datasets],
@@ -2829,13 +8936,38 @@ window.timelineAPI = {
         renderTimeline();
     },
     
+    // Set scale mode: 'linear', 'log', or 'piecewise' with rules text
+    // e.g. setScaleMode('piecewise', 'before 5000: 1; after 11500: 10')
+    // Returns the problems found, and changes nothing if there are any
+    setScaleMode(mode, rulesText) {
+        if (!['linear', 'log', 'piecewise'].includes(mode)) return [`unknown scale mode "${mode}"`];
+        const parsed = rulesText !== undefined ? parsePiecewiseRules(rulesText) : null;
+        if (parsed?.errors.length > 0) return parsed.errors;
+        if (parsed) CONFIG.piecewiseText = rulesText;
+        applyScaleMode(mode, parsed?.rules);
+        return [];
+    },
+    
     // Scroll to a year
     scrollToYear,
     
+    // Shareable link for the current view
+    getShareURL: () => `${window.location.href.split('#')[0]}#${serializeViewState(getCurrentViewState())}`,
+    
+    // Search events: returns [{ event, score, visible }]
+    search: (query, options) => searchEvents(query, options),
+    
     // Date conversion utilities
     toHoloceneYear,
     fromHoloceneYear,
     parseDateToHE,
+    
+    // Day-level calendar conversion ('gregorian', 'julian' or 'he'; astronomical years)
+    // e.g. convertDate({ year: 1582, month: 10, day: 4, era: 'CE' }, 'julian')
+    dateToJDN,
+    jdnToDate,
+    convertDate,
+    formatCalendarDate,
 };
 
 // ============ TOP BAR HEIGHT ============
@@ -2885,8 +9017,24 @@ async function init() {
         currentYearDisplay.textContent = getCurrentHoloceneYear().toLocaleString();
     }
     
-    // Load core dataset
-    await loadAllDatasets(['events/core.json']);
+    // Load the dataset manifest and enable the saved (or default-on) datasets
+    const manifest = await loadManifest('events/manifest.json');
+    if (manifest) {
+        STATE.manifest = manifest;
+        buildDatasetUI();
+        await applyDatasetSelection(getInitialDatasetIds());
+    } else {
+        // No manifest - fall back to the core and pre-Holocene (BHE) datasets
+        await loadAllDatasets(['events/core.json', 'events/bhe.json']);
+    }
+    
+    // Add the personal events saved in this browser
+    await restoreUserEvents();
+    
+    // Restore saved preferences, then any shared view from the URL (which wins),
+    // before the first render
+    const savedView = restorePreferences();
+    const linkedView = restoreViewSettingsFromURL();
     
     // Render timeline
     renderTimeline();
@@ -2894,6 +9042,16 @@ async function init() {
     // Setup controls
     setupScaleControl();
     setupYearInput();
+    setupWorldCalendarInput();
+    setupDisplayUnitSelect();
+    setupSwimlanes();
+    setupOrientation();
+    setupCSVImport();
+    setupExportMenu();
+    setupPosterExport();
+    setupUserEvents();
+    setupAuthoring();
+    setupKeyboardNavigation();
     setupNavButtons();
     setupFilterControls();
     setupRangeToggle();
@@ -2904,11 +9062,28 @@ async function init() {
     setupSidebarControls()
     setupClickAwayUnlock();
     setupSmartHover();
+    setupMapPanel();
+    setupMinimap();
+    setupSearch();
+    setupDateConverter();
+    setupDiagnosticsPanel();
+    setupDeepLinks();
+    setupPreferencesReset();
+    
+    // Jump to the linked (or last viewed) year once controls are wired up
+    const startView = linkedView || savedView;
+    if (startView) {
+        applyViewPosition(startView, { instant: true });
+    }
     
     // Setup scroll tracking (throttled for performance)
     updateYearDisplay();
     window.addEventListener('scroll', throttleRAF(updateYearDisplay));
     window.addEventListener('resize', throttleRAF(updateYearDisplay));
+    
+    // Materialize markers and entries as they approach the viewport
+    window.addEventListener('scroll', throttleRAF(updateVirtualWindow));
+    window.addEventListener('resize', throttleRAF(updateVirtualWindow));
 
     // Re-render timeline when crossing mobile/desktop threshold
     let lastViewportCategory = window.innerWidth < 600 ? 'mobile' : 'desktop';
@@ -2945,15 +9120,11 @@ function setupNavButtons() {
     const controlsWrapper = document.getElementById('controlsWrapper');
     
     if (jumpToTop) {
-        jumpToTop.addEventListener('click', () => {
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-        });
+        jumpToTop.addEventListener('click', jumpToBeginning);
     }
     
     if (jumpToBottom) {
-        jumpToBottom.addEventListener('click', () => {
-            window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
-        });
+        jumpToBottom.addEventListener('click', jumpToToday);
     }
     
     // Mobile controls toggle